@@ -994,6 +994,11 @@ public class Option
     public string? CssClass { get; set; }
 #pragma warning restore CS1591 // Missing XML comment for publicly visible type or member
 
+    /// <summary>
+    /// Optional parent option value for cascading (hierarchical) option lists
+    /// </summary>
+    public string? ParentValue { get; set; }
+
 #pragma warning disable CS1591 // Missing XML comment for publicly visible type or member
     public override bool Equals(object? obj)
 #pragma warning restore CS1591 // Missing XML comment for publicly visible type or member
@@ -0,0 +1,31 @@
+using DynamicForms.Core.Entities;
+using System.Text.Json;
+
+namespace DynamicForms.RazorPages.Extensions;
+
+/// <summary>
+/// Builds the data-accessibility attribute (V4 AccessibilityConfig) read by dynamic-forms.js
+/// </summary>
+public static class FieldAccessibilityExtensions
+{
+    private static readonly string[] AccessibilityPropertyNames =
+    {
+        "AriaLabelEn", "AriaLabelFr", "AriaDescribedBy", "AriaRole", "AriaLive"
+    };
+
+    /// <summary>
+    /// Get the field's AccessibilityConfig from CustomProperties as JSON, or null when none is set
+    /// </summary>
+    public static string? GetAccessibilityJson(this FormField field)
+    {
+        var config = new Dictionary<string, object>();
+
+        foreach (var name in AccessibilityPropertyNames)
+        {
+            if (FieldValidationExtensions.TryGetCustomProperty(field, name, out var value))
+                config[name] = value;
+        }
+
+        return config.Count > 0 ? JsonSerializer.Serialize(config) : null;
+    }
+}
@@ -0,0 +1,69 @@
+using DynamicForms.Core.Entities;
+using System.Text.Json;
+
+namespace DynamicForms.RazorPages.Extensions;
+
+/// <summary>
+/// Builds the data-validation attribute read by dynamic-forms.js, so client and server check the same rules
+/// </summary>
+public static class FieldValidationExtensions
+{
+    // FieldValidationConfig rules the entity has no column for; read from CustomProperties
+    private static readonly string[] ValidationPropertyNames =
+    {
+        "RequiredMessageEn", "RequiredMessageFr", "Pattern", "PatternMessageEn", "PatternMessageFr",
+        "MinValue", "MaxValue", "CustomRuleIds"
+    };
+
+    private static readonly string[] DatePropertyNames = { "AllowFuture", "AllowPast", "MinDate", "MaxDate" };
+
+    /// <summary>
+    /// Get the field's validation rules using the V4 FieldValidationConfig names, with the
+    /// DateConfig rules nested under "DateConfig". Returns null when the field has no rules.
+    /// </summary>
+    public static Dictionary<string, object>? GetValidationConfig(this FormField field)
+    {
+        var config = new Dictionary<string, object>();
+
+        if (field.IsRequired) config["IsRequired"] = true;
+        if (field.MinimumLength.HasValue) config["MinLength"] = field.MinimumLength.Value;
+        if (field.MaximumLength.HasValue) config["MaxLength"] = field.MaximumLength.Value;
+
+        foreach (var name in ValidationPropertyNames)
+        {
+            if (TryGetCustomProperty(field, name, out var value))
+                config[name] = value;
+        }
+
+        var dateConfig = new Dictionary<string, object>();
+        foreach (var name in DatePropertyNames)
+        {
+            if (TryGetCustomProperty(field, name, out var value))
+                dateConfig[name] = value;
+        }
+        if (dateConfig.Count > 0) config["DateConfig"] = dateConfig;
+
+        return config.Count > 0 ? config : null;
+    }
+
+    /// <summary>
+    /// Get the validation rules as JSON for the data-validation attribute, or null when there are none
+    /// </summary>
+    public static string? GetValidationJson(this FormField field)
+    {
+        var config = field.GetValidationConfig();
+        return config != null ? JsonSerializer.Serialize(config) : null;
+    }
+
+    internal static bool TryGetCustomProperty(FormField field, string name, out object value)
+    {
+        value = null!;
+        if (field.CustomProperties == null) return false;
+
+        var match = field.CustomProperties.FirstOrDefault(p => string.Equals(p.Key, name, StringComparison.OrdinalIgnoreCase));
+        if (match.Key == null || match.Value == null) return false;
+
+        value = match.Value;
+        return true;
+    }
+}
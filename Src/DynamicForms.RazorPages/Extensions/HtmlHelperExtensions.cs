@@ -49,7 +49,7 @@ public static class HtmlHelperExtensions
         var fieldName = $"Submission.Fields[{model.Index}].Value";
         
         // Container div
-        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\">");
+        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\"{GetValidationAttribute(model)}{GetAccessibilityAttribute(model)}>");
         
         // Label
         if (!string.IsNullOrEmpty(model.GetLabel()))
@@ -109,7 +109,7 @@ public static class HtmlHelperExtensions
         var fieldId = $"field_{model.Field.Id}";
         var fieldName = $"Submission.Fields[{model.Index}].Value";
         
-        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\">");
+        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\"{GetValidationAttribute(model)}{GetAccessibilityAttribute(model)}>");
         
         // Label
         if (!string.IsNullOrEmpty(model.GetLabel()))
@@ -165,7 +165,7 @@ public static class HtmlHelperExtensions
         var fieldName = $"Submission.Fields[{model.Index}].Value";
         var currentValue = model.GetStringValue();
         
-        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\">");
+        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\"{GetValidationAttribute(model)}{GetAccessibilityAttribute(model)}>");
         
         // Label
         if (!string.IsNullOrEmpty(model.GetLabel()))
@@ -231,7 +231,7 @@ public static class HtmlHelperExtensions
         var isChecked = model.GetStringValue().Equals("true", StringComparison.OrdinalIgnoreCase) || 
                        model.GetStringValue().Equals("1", StringComparison.OrdinalIgnoreCase);
         
-        sb.AppendLine($"<div class=\"form-group form-check\" data-field-id=\"{model.Field.Id}\">");
+        sb.AppendLine($"<div class=\"form-group form-check\" data-field-id=\"{model.Field.Id}\"{GetValidationAttribute(model)}{GetAccessibilityAttribute(model)}>");
         
         // Checkbox input
         sb.AppendLine($"<input type=\"checkbox\" id=\"{fieldId}\" name=\"{fieldName}\"");
@@ -285,7 +285,7 @@ public static class HtmlHelperExtensions
         var sb = new StringBuilder();
         var selectedValues = model.Value?.Values?.Select(v => v.Value).ToList() ?? [];
         
-        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\">");
+        sb.AppendLine($"<div class=\"form-group\" data-field-id=\"{model.Field.Id}\"{GetValidationAttribute(model)}{GetAccessibilityAttribute(model)}>");
         
         // Label
         if (!string.IsNullOrEmpty(model.GetLabel()))
@@ -405,4 +405,22 @@ public static class HtmlHelperExtensions
         // Implementation for species autocomplete
         return RenderTextBox(htmlHelper, model); // Simplified for now
     }
+    
+    /// <summary>
+    /// data-validation attribute for the field container (empty when the field has no rules)
+    /// </summary>
+    private static string GetValidationAttribute(DynamicFieldViewModel model)
+    {
+        var json = model.Field.GetValidationJson();
+        return json != null ? $" data-validation=\"{System.Net.WebUtility.HtmlEncode(json)}\"" : string.Empty;
+    }
+    
+    /// <summary>
+    /// data-accessibility attribute for the field container (empty without AccessibilityConfig)
+    /// </summary>
+    private static string GetAccessibilityAttribute(DynamicFieldViewModel model)
+    {
+        var json = model.Field.GetAccessibilityJson();
+        return json != null ? $" data-accessibility=\"{System.Net.WebUtility.HtmlEncode(json)}\"" : string.Empty;
+    }
 }
\ No newline at end of file
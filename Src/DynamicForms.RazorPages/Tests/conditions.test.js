@@ -0,0 +1,157 @@
+/*!
+ * Tests for the V4 Condition evaluator (wwwroot/js/dynamic-forms.js), kept in step with
+ * Src/DynamicForms.Core.V4/Tests/ConditionEvaluatorTests.cs.
+ * No dependencies: node --test Src/DynamicForms.RazorPages/Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The library only needs window and document to load. Invalid conditions warn before
+// evaluating to false, which would only clutter the test output.
+function loadDynamicForms() {
+    const source = fs.readFileSync(path.join(__dirname, '../wwwroot/js/dynamic-forms.js'), 'latin1');
+    const document = { querySelector: () => null, querySelectorAll: () => [], getElementById: () => null };
+    const window = { document: document };
+    const quiet = Object.assign(Object.create(console), { warn: () => {} });
+    vm.runInNewContext(source, { window: window, document: document, console: quiet });
+    return window.DynamicForms;
+}
+
+const DynamicForms = loadDynamicForms();
+
+const leaf = (field, operator, value) => ({ Field: field, Operator: operator, Value: value });
+const all = (...conditions) => ({ LogicalOp: 'And', Conditions: conditions });
+const any = (...conditions) => ({ LogicalOp: 'Or', Conditions: conditions });
+const not = condition => ({ LogicalOp: 'Not', Conditions: [condition] });
+
+const evaluate = (condition, values) => DynamicForms.evaluateConditionTree(condition, values);
+
+test('simple conditions', () => {
+    assert.equal(evaluate(leaf('org_type', 'Equals', 'Business'), { org_type: 'Business' }), true);
+    assert.equal(evaluate(leaf('age', 'LessThan', 18), { age: 16 }), true);
+    assert.equal(evaluate(leaf('email', 'Contains', '@example.com'), { email: 'user@example.com' }), true);
+    assert.equal(evaluate(leaf('province', 'In', ['ON', 'QC', 'BC']), { province: 'ON' }), true);
+});
+
+test('operators', () => {
+    const values = { name: 'Jane Doe', age: 30, tags: ['a', 'b'], blank: '  ', missing: null };
+
+    assert.equal(evaluate(leaf('name', 'Equals', 'JANE DOE'), values), true);
+    assert.equal(evaluate(leaf('name', 'NotEquals', 'John'), values), true);
+    assert.equal(evaluate(leaf('age', 'GreaterThan', 30), values), false);
+    assert.equal(evaluate(leaf('age', 'GreaterThanOrEqual', 30), values), true);
+    assert.equal(evaluate(leaf('age', 'LessThanOrEqual', 29), values), false);
+    assert.equal(evaluate(leaf('name', 'NotContains', 'smith'), values), true);
+    assert.equal(evaluate(leaf('tags', 'Contains', 'b'), values), true);
+    assert.equal(evaluate(leaf('name', 'StartsWith', 'jane'), values), true);
+    assert.equal(evaluate(leaf('name', 'EndsWith', 'DOE'), values), true);
+    assert.equal(evaluate(leaf('name', 'NotIn', ['Bob', 'Alice']), values), true);
+    assert.equal(evaluate(leaf('blank', 'IsEmpty'), values), true);
+    assert.equal(evaluate(leaf('tags', 'IsNotEmpty'), values), true);
+    assert.equal(evaluate(leaf('missing', 'IsNull'), values), true);
+    assert.equal(evaluate(leaf('undeclared', 'IsNull'), values), true);
+    assert.equal(evaluate(leaf('name', 'IsNotNull'), values), true);
+
+    // Enums serialized as numbers (no JsonStringEnumConverter)
+    assert.equal(evaluate({ Field: 'age', Operator: 4, Value: 40 }, values), true);
+    assert.equal(evaluate({ LogicalOp: 1, Conditions: [leaf('age', 0, 1), leaf('age', 0, 30)] }, values), true);
+});
+
+test('nested And, Or and Not', () => {
+    assert.equal(evaluate(all(leaf('age', 'LessThan', 18), leaf('province', 'Equals', 'ON')), { age: 16, province: 'ON' }), true);
+    assert.equal(evaluate(any(leaf('province', 'Equals', 'ON'), leaf('province', 'Equals', 'QC')), { province: 'ON' }), true);
+    assert.equal(evaluate(not(leaf('is_student', 'Equals', true)), { is_student: false }), true);
+
+    const minorInOntarioOrQuebec = all(
+        leaf('age', 'LessThan', 18),
+        any(leaf('province', 'Equals', 'ON'), leaf('province', 'Equals', 'QC')));
+    assert.equal(evaluate(minorInOntarioOrQuebec, { age: 16, province: 'QC' }), true);
+    assert.equal(evaluate(minorInOntarioOrQuebec, { age: 16, province: 'BC' }), false);
+    assert.equal(evaluate(not(minorInOntarioOrQuebec), { age: 20, province: 'QC' }), true);
+});
+
+test('type coercion of form values', () => {
+    // Inputs yield strings; they are typed after the expected value
+    assert.equal(evaluate(leaf('age', 'LessThan', 18), { age: '16' }), true);
+    assert.equal(evaluate(leaf('amount', 'GreaterThanOrEqual', 750), { amount: '800.5' }), true);
+    assert.equal(evaluate(leaf('is_student', 'Equals', true), { is_student: 'True' }), true);
+    assert.equal(evaluate(leaf('province', 'In', [1, 2]), { province: '2' }), true);
+    assert.equal(evaluate(leaf('code', 'Equals', '16'), { code: 16 }), false);
+});
+
+test('invalid conditions are false', () => {
+    assert.equal(evaluate(null, {}), false);
+    assert.equal(evaluate({ Field: 'age', Operator: 'Unknown', Value: 1 }, { age: 1 }), false);
+    assert.equal(evaluate({ LogicalOp: 'And', Conditions: [] }, {}), false);
+    // Comparisons that cannot be made (null, mixed types) fail instead of throwing
+    assert.equal(evaluate(leaf('age', 'LessThan', 18), {}), false);
+    assert.equal(evaluate(leaf('age', 'LessThan', 18), { age: 'unknown' }), false);
+});
+
+test('module references', () => {
+    assert.deepEqual({ ...DynamicForms.parseFieldReference('age') }, { moduleKey: null, fieldId: 'age' });
+    assert.deepEqual({ ...DynamicForms.parseFieldReference('PersonalInfo.age') }, { moduleKey: 'PersonalInfo', fieldId: 'age' });
+    assert.deepEqual({ ...DynamicForms.parseFieldReference('1.applicant_age') }, { moduleKey: '1', fieldId: 'applicant_age' });
+
+    const modules = {
+        PersonalInfo: { age: 16 },
+        ContactInfo: { email: 'test@example.com' },
+        1: { applicant_age: 16 },
+        2: { province: 'ON' }
+    };
+    assert.equal(evaluate(leaf('PersonalInfo.age', 'LessThan', 18), modules), true);
+    assert.equal(evaluate(all(leaf('1.applicant_age', 'LessThan', 18), leaf('2.province', 'Equals', 'ON')), modules), true);
+    assert.equal(evaluate(leaf('Missing.age', 'IsNull'), modules), true);
+});
+
+const rule = (action, priority, condition, extra) =>
+    Object.assign({ Action: action, Priority: priority, Condition: condition }, extra);
+const resolve = (rules, values, trace) => ({ ...DynamicForms.resolveConditionalRules(rules, values, trace) });
+
+test('rules resolve by Priority, lowest first', () => {
+    const trigger = leaf('trigger', 'Equals', true);
+    const rules = [
+        rule('enable', 300, trigger, { Id: 'rule3' }),
+        rule('disable', 100, trigger, { Id: 'rule1' }),
+        rule('enable', 200, trigger, { Id: 'rule2' })
+    ];
+
+    const trace = [];
+    assert.equal(resolve(rules, { trigger: true }, trace).disabled, true);
+    assert.deepEqual(trace.map(item => [item.id, item.status]), [['rule1', 'applied'], ['rule2', 'overridden'], ['rule3', 'overridden']]);
+
+    // A rule that is not met leaves the state to the next one
+    assert.equal(resolve(rules, { trigger: false }).disabled, null);
+    assert.equal(resolve([rule('disable', 100, leaf('trigger', 'Equals', false)), rule('enable', 200, trigger)], { trigger: true }).disabled, false);
+
+    // Priority defaults to 100; inactive rules never apply
+    assert.equal(resolve([rule('optional', undefined, trigger), rule('require', 150, trigger)], { trigger: true }).required, false);
+    assert.equal(resolve([rule('readonly', 1, trigger, { IsActive: false }), rule('editable', 2, trigger)], { trigger: true }).readOnly, false);
+});
+
+test('the restrictive action wins a Priority tie', () => {
+    const trigger = leaf('trigger', 'Equals', true);
+    const tie = (permissive, restrictive) => [rule(permissive, 100, trigger), rule(restrictive, 100, trigger)];
+
+    assert.equal(resolve(tie('show', 'hide'), { trigger: true }).visible, false);
+    assert.equal(resolve(tie('optional', 'require'), { trigger: true }).required, true);
+    assert.equal(resolve(tie('enable', 'disable'), { trigger: true }).disabled, true);
+    assert.equal(resolve(tie('editable', 'readonly'), { trigger: true }).readOnly, true);
+    assert.equal(resolve(tie('setvalue', 'clearvalue'), { trigger: true }).value.clear, true);
+
+    // ...only when it is met
+    const unmet = [rule('show', 100, trigger), rule('hide', 100, leaf('trigger', 'Equals', false))];
+    assert.equal(resolve(unmet, { trigger: true }).visible, true);
+});
+
+test('show rules make a field opt-in', () => {
+    const trigger = leaf('trigger', 'Equals', true);
+
+    assert.equal(resolve([], {}).visible, true);
+    assert.equal(resolve([rule('show', 100, trigger)], { trigger: false }).visible, false);
+    assert.equal(resolve([rule('hide', 100, trigger)], { trigger: false }).visible, true);
+});
@@ -0,0 +1,134 @@
+/*!
+ * Tests for DynamicForms.Formula (wwwroot/js/dynamic-forms.js), the ComputedFormula language.
+ * No dependencies: node --test Src/DynamicForms.RazorPages/Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The library only needs window and document to load; Formula itself never touches the DOM.
+// Arrays it returns come from another realm, hence the [...spread] before deepEqual.
+function loadDynamicForms() {
+    const source = fs.readFileSync(path.join(__dirname, '../wwwroot/js/dynamic-forms.js'), 'latin1');
+    const document = { querySelector: () => null, querySelectorAll: () => [], getElementById: () => null };
+    const window = { document: document };
+    vm.runInNewContext(source, { window: window, document: document, console: console });
+    return window.DynamicForms;
+}
+
+const DynamicForms = loadDynamicForms();
+const Formula = DynamicForms.Formula;
+
+const evaluate = (expression, values) => Formula.evaluate(Formula.parse(expression), name => (values || {})[name] ?? null);
+
+test('operator precedence', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+    assert.equal(evaluate('10 - 4 - 3'), 3);
+    assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(evaluate('-2 ^ 2'), -4);
+    assert.equal(evaluate('1 + 2 = 3 AND 2 > 1'), true);
+    assert.equal(evaluate('0 AND 1 OR 1'), true);
+    assert.equal(evaluate('NOT 0 && !1'), false);
+    // & shares the additive level, left to right
+    assert.equal(evaluate("1 + 2 & 'a'"), '3a');
+});
+
+test('references', () => {
+    const values = { budget_personnel: '1,200', 'budget travel': 300, 'expenses.amount': [10, 20] };
+    assert.equal(evaluate('budget_personnel + [budget travel]', values), 1500);
+    assert.equal(evaluate('SUM(expenses.amount)', values), 30);
+    assert.equal(evaluate('missing + 1', values), 1);
+    assert.deepEqual([...Formula.getReferences(Formula.parse('IF(a > 0, b, [c d])'))], ['a', 'b', 'c d']);
+});
+
+test('typed numbers follow the form language', () => {
+    const french = Object.assign(Object.create(Formula), { language: 'FR' });
+    const evaluateFrench = (expression, values) => french.evaluate(Formula.parse(expression), name => values[name] ?? null);
+
+    assert.equal(evaluateFrench('rate * 2', { rate: '1,5' }), 3);
+    assert.equal(evaluateFrench('amount + 1', { amount: '1 200,5' }), 1201.5);
+    assert.equal(evaluateFrench('amount + 1', { amount: '1200.5' }), 1201.5);
+    assert.equal(evaluate('rate * 2', { rate: '1,5' }), 30);
+});
+
+test('comparisons parse numbers like arithmetic', () => {
+    assert.equal(evaluate('amount > 5', { amount: '1,200' }), true);
+    assert.equal(evaluate('amount = SUM(amount)', { amount: '1,200' }), true);
+    assert.equal(evaluate("'$1,200' >= 1200"), true);
+    assert.equal(evaluate("'abc' = 'ABC'"), true);
+    assert.equal(evaluate('choices = 0', { choices: ['a'] }), false);
+});
+
+test('functions', () => {
+    assert.equal(evaluate('SUM(1, 2, list)', { list: [3, '4'] }), 10);
+    assert.equal(evaluate('AVG(2, 4, blank)', { blank: '' }), 3);
+    assert.equal(evaluate('ROUND(2 / 3, 2)'), 0.67);
+    assert.equal(evaluate("CONCAT(UPPER('a'), LEN('abc'))"), 'A3');
+    assert.equal(evaluate("COALESCE(blank, 'x')", { blank: '' }), 'x');
+    assert.equal(evaluate("DATEDIFF('2024-01-01', '2024-03-01', 'months')"), 2);
+    assert.equal(evaluate('IF(1 > 2, 1, 2)'), 2);
+    // IF only evaluates the branch it returns
+    assert.equal(evaluate('IF(1, 2, NOSUCHFUNCTION())'), 2);
+    assert.equal(evaluate('1 / 0'), null);
+});
+
+test('AND, OR and NOT as functions', () => {
+    assert.equal(evaluate('AND(1, 0)'), false);
+    assert.equal(evaluate('OR(0, 1)'), true);
+    assert.equal(evaluate('NOT(0)'), true);
+    assert.equal(evaluate('IF(AND(1, 1), 2, 3)'), 2);
+    assert.equal(evaluate('AND(1, OR(0, 1)) AND 1'), true);
+    assert.equal(evaluate('a OR (b)', { a: 0, b: 1 }), true);
+});
+
+test('invalid expressions throw', () => {
+    assert.throws(() => Formula.parse('(1 + 2'), /Expected "\)"/);
+    assert.throws(() => Formula.parse('1 +'), /Unexpected end of expression/);
+    assert.throws(() => Formula.parse('1 2'), /Unexpected "2"/);
+    assert.throws(() => Formula.parse('1 # 2'), /Unexpected character/);
+    assert.throws(() => evaluate('NOSUCHFUNCTION(1)'), /Unknown function NOSUCHFUNCTION/);
+});
+
+test('computed fields on a dependency cycle are left out', () => {
+    const marked = [];
+    const computed = (fieldId, expression) => {
+        const ast = Formula.parse(expression);
+        return {
+            fieldId: fieldId,
+            ast: ast,
+            dependencies: Formula.getReferences(ast),
+            container: { classList: { add: () => marked.push(fieldId) }, setAttribute: () => {} }
+        };
+    };
+
+    const runtime = Object.assign(Object.create(DynamicForms), {
+        config: DynamicForms.config,
+        dataGrids: {},
+        computedFields: {
+            total: computed('total', 'subtotal + tax'),
+            subtotal: computed('subtotal', 'a + b'),
+            tax: computed('tax', 'subtotal * 0.13'),
+            x: computed('x', 'y + 1'),
+            y: computed('y', 'z + 1'),
+            z: computed('z', 'x + 1')
+        }
+    });
+
+    const originalError = console.error;
+    console.error = () => {};
+    let order;
+    try {
+        order = runtime.sortComputedFields();
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.deepEqual([...order], ['subtotal', 'tax', 'total']);
+    assert.deepEqual(marked.sort(), ['x', 'y', 'z']);
+    assert.equal(runtime.computedFields.x.hasCycle, true);
+    assert.equal(runtime.computedFields.total.hasCycle, undefined);
+});
@@ -0,0 +1,76 @@
+/*!
+ * Tests for field validation (wwwroot/js/dynamic-forms.js) against FieldValidationConfig rules.
+ * No dependencies: node --test Src/DynamicForms.RazorPages/Tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The library only needs window and document to load; the fields below are plain objects
+// with just enough of the element API for validateForm.
+function loadDynamicForms() {
+    const source = fs.readFileSync(path.join(__dirname, '../wwwroot/js/dynamic-forms.js'), 'latin1');
+    const document = { querySelector: () => null, querySelectorAll: () => [], getElementById: () => null };
+    const window = { document: document };
+    vm.runInNewContext(source, { window: window, document: document, console: console });
+    return window.DynamicForms;
+}
+
+const DynamicForms = loadDynamicForms();
+
+// A rendered field as _DynamicField.cshtml writes it: the visible input, then the
+// Submission.Fields[i].FieldId hidden input, both inside the [data-field-id] container.
+function renderField(fieldId, type, value, validation) {
+    const container = {
+        attributes: { 'data-field-id': fieldId, 'data-validation': JSON.stringify(validation) },
+        getAttribute: function(name) { return name in this.attributes ? this.attributes[name] : null; },
+        closest: () => null
+    };
+    const input = (inputType, inputValue) => ({
+        type: inputType,
+        value: inputValue,
+        disabled: false,
+        getAttribute: () => null,
+        hasAttribute: () => false,
+        closest: selector => selector === '[data-field-id]' ? container : null
+    });
+    return { container: container, inputs: [input(type, value), input('hidden', fieldId)] };
+}
+
+function validate(field) {
+    const shown = [];
+    const form = { querySelectorAll: () => field.inputs };
+    field.inputs.forEach(input => { input.form = form; });
+
+    const runtime = Object.assign(Object.create(DynamicForms), {
+        config: DynamicForms.config,
+        fieldSets: [],
+        showFieldValidation: (container, errors) => shown.push(...errors),
+        emit: () => {}
+    });
+
+    return { isValid: runtime.validateForm(form), errors: shown };
+}
+
+test('rules apply to the value the user typed, not the FieldId hidden input', () => {
+    const postalCode = validate(renderField('postal_code', 'text', 'K1A0B1', { MaxLength: 7 }));
+    assert.deepEqual(postalCode.errors, []);
+    assert.equal(postalCode.isValid, true);
+
+    const quantity = validate(renderField('quantity', 'number', '123', { Pattern: '^\\d+$' }));
+    assert.deepEqual(quantity.errors, []);
+    assert.equal(quantity.isValid, true);
+});
+
+test('rules still reject invalid values', () => {
+    const postalCode = validate(renderField('postal_code', 'text', 'K1A 0B1 CANADA', { MaxLength: 7 }));
+    assert.equal(postalCode.isValid, false);
+    assert.equal(postalCode.errors.length, 1);
+
+    const quantity = validate(renderField('quantity', 'text', '12a', { Pattern: '^\\d+$' }));
+    assert.equal(quantity.isValid, false);
+    assert.equal(quantity.errors.length, 1);
+});
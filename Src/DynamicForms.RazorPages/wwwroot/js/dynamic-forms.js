@@ -7,6 +7,67 @@
 (function(window, document, $) {
     'use strict';
 
+    // V4 ConditionOperator / LogicalOperator names, in enum order so that
+    // numeric values (serialized without JsonStringEnumConverter) resolve too
+    const CONDITION_OPERATORS = [
+        'Equals', 'NotEquals',
+        'GreaterThan', 'GreaterThanOrEqual', 'LessThan', 'LessThanOrEqual',
+        'Contains', 'NotContains', 'StartsWith', 'EndsWith', 'In', 'NotIn',
+        'IsNull', 'IsNotNull', 'IsEmpty', 'IsNotEmpty'
+    ];
+    const LOGICAL_OPERATORS = ['And', 'Or', 'Not'];
+    
+    // Legacy kebab-case operators used by data-condition attributes
+    const LEGACY_CONDITION_OPERATORS = {
+        'equals': 'Equals',
+        'not-equals': 'NotEquals',
+        'contains': 'Contains',
+        'greater-than': 'GreaterThan',
+        'less-than': 'LessThan',
+        'is-empty': 'IsEmpty',
+        'is-not-empty': 'IsNotEmpty'
+    };
+    
+    // V4 ConditionalRule.Action values (case-insensitive) and the field state each one sets.
+    // Restrictive actions win over their opposite when two rules share a Priority.
+    const RULE_ACTIONS = {
+        'show': { state: 'visible', value: true },
+        'hide': { state: 'visible', value: false, restrictive: true },
+        'require': { state: 'required', value: true, restrictive: true },
+        'setrequired': { state: 'required', value: true, restrictive: true },
+        'optional': { state: 'required', value: false },
+        'setoptional': { state: 'required', value: false },
+        'disable': { state: 'disabled', value: true, restrictive: true },
+        'enable': { state: 'disabled', value: false },
+        'readonly': { state: 'readOnly', value: true, restrictive: true },
+        'setreadonly': { state: 'readOnly', value: true, restrictive: true },
+        'editable': { state: 'readOnly', value: false },
+        'setvalue': { state: 'value', value: 'set' },
+        'clearvalue': { state: 'value', value: 'clear', restrictive: true }
+    };
+    
+    // Offline draft entry naming a data grid whose rows the draft holds (grids post no entry
+    // of their own when they have no rows); never posted
+    const DRAFT_DATAGRID_ENTRY = '__DataGrid';
+    
+    // V4 RelationshipType names, in enum order so that numeric values resolve too
+    const RELATIONSHIP_TYPES = ['Container', 'Conditional', 'Cascade', 'Validation'];
+    
+    // V4 FieldType names (lowercase) rendered as a plain <input>, and the input type each one takes
+    const INPUT_FIELD_TYPES = {
+        email: 'email',
+        emailtextbox: 'email',
+        number: 'number',
+        numbertextbox: 'number',
+        telephonetextbox: 'tel',
+        urltextbox: 'url',
+        date: 'date',
+        datebox: 'date',
+        datepicker: 'date',
+        timebox: 'time',
+        datetimebox: 'datetime-local'
+    };
+
     // DynamicForms namespace
     const DynamicForms = {
         version: '1.0.0',
@@ -14,28 +75,297 @@
             autoSave: {
                 enabled: false,
                 interval: 30000,
-                url: null
+                url: null,
+                // Drafts are kept in IndexedDB per form and user so nothing is lost offline
+                userId: null,
+                // Version of the server copy this page was rendered from (timestamp, ETag...);
+                // a different version on resync means someone else saved in the meantime
+                version: null
             },
             validation: {
                 enabled: true,
                 showErrorSummary: true,
-                highlightErrors: true
+                highlightErrors: true,
+                // Delay before custom validators run while the user is still changing a value
+                customDebounce: 400
+            },
+            modalRecords: {
+                namePrefix: 'Submission.Modals'
+            },
+            cascade: {
+                // Endpoint for children without inline options, e.g. '/api/codesets/{codeSetId}/items';
+                // called with ?parentValue=<value>
+                url: null
+            },
+            autoComplete: {
+                debounce: 300
+            },
+            fileUpload: {
+                url: '/api/file-uploads',
+                chunkSize: 1024 * 1024, // 1MB
+                maxRetries: 5,
+                retryDelay: 2000
+            },
+            submit: {
+                // Post with fetch and show the server's validation errors on the fields
+                ajax: false,
+                url: null, // defaults to the form action
+                // Follow RedirectUrl from a successful response
+                redirect: true,
+                // function(data, form); return false to skip the redirect and receipt
+                onSuccess: null,
+                // function(receipt, data, form) instead of the built-in receipt alert
+                onReceipt: null,
+                // function(errors, data, form) once the errors are shown
+                onError: null
             },
+            conditional: {
+                // What happens to a field's value while a rule hides it (data-hide-policy overrides per field):
+                // 'clear' empties it, 'preserve' keeps it aside and leaves it out of the submit,
+                // 'submit' keeps it in place and posts it. Hidden fields are never validated.
+                hidePolicy: 'preserve',
+                // Trace panel for form authors: which rules ran, on which values, with what result.
+                // Also turned on by ?dfDebug=1 in the page URL.
+                debug: false
+            },
+            changeTracking: {
+                // Ask before leaving the page with changes that were not saved or submitted
+                warnOnUnload: true
+            },
+            workflow: {
+                // Read-only answers from earlier modules, referenced as "moduleKey.fieldId" in conditions
+                // and formulas: WorkflowFormData ({ Modules: { moduleKey: { fieldId: value } } }) or the
+                // Modules map itself. Also read from a data-workflow-data attribute on the form.
+                data: null,
+                // Or a URL returning the same JSON
+                url: null,
+                // FormWorkflowSchema.WorkflowRules, and the module keys in step order (ModuleIds)
+                rules: [],
+                moduleKeys: [],
+                // Hidden input that posts the client's next-module decision (null to leave it out)
+                nextModuleField: 'NextModuleKey'
+            },
+            // Module CrossFieldValidations (V4 FieldSetValidation[]) checked in the browser
+            fieldSetValidations: [],
             language: 'EN',
-            formId: null
+            formId: null,
+            moduleKey: null
         },
         
         // Initialize the library
         initialize: function(options) {
-            this.config = Object.assign(this.config, options || {});
+            this.config = this.mergeConfig(this.config, options);
+            this.listeners = [];
+            this.initializeWorkflowData();
             this.setupEventHandlers();
             this.initializeComponents();
+            this.setupChangeTracking();
             
             if (this.config.autoSave.enabled) {
                 this.setupAutoSave();
             }
             
             console.log('DynamicForms initialized with config:', this.config);
+            this.emit('ready', { config: this.config });
+        },
+        
+        // Event API. Handlers get { type, detail, defaultPrevented, preventDefault() }; every event is
+        // also dispatched on the form as a bubbling DOM CustomEvent named "dynamicforms:<type>".
+        // Calling preventDefault() on a cancelable event (on either side) stops the action.
+        //
+        //   ready            { config }
+        //   fieldChange      { fieldId, value, field }
+        //   fieldValidated   { fieldId, isValid, errors }
+        //   validationFailed { fieldIds }                     submit blocked by invalid fields
+        //   beforeHide       { fieldId, container }           cancelable: the field stays visible
+        //   fieldHidden      { fieldId, container }
+        //   fieldShown       { fieldId, container }
+        //   beforeSave       { kind: 'autoSave'|'draft', formData }  cancelable: nothing is sent
+        //   saved            { kind, data }
+        //   saveFailed       { kind, error }
+        //   beforeSubmit     { submitter, ajax }              cancelable: the form is not posted
+        //   submitted        { data }                         AJAX submit accepted
+        //   submitFailed     { errors, data }                 AJAX submit rejected
+        on: function(type, handler) {
+            const handlers = this.eventHandlers || (this.eventHandlers = {});
+            (handlers[type] || (handlers[type] = [])).push(handler);
+            return this;
+        },
+        
+        off: function(type, handler) {
+            const handlers = this.eventHandlers?.[type];
+            if (!handlers) return this;
+            
+            this.eventHandlers[type] = handler
+                ? handlers.filter(h => h !== handler && h.listener !== handler)
+                : [];
+            return this;
+        },
+        
+        once: function(type, handler) {
+            const wrapper = event => {
+                this.off(type, wrapper);
+                handler.call(this, event);
+            };
+            wrapper.listener = handler;
+            return this.on(type, wrapper);
+        },
+        
+        // Returns false when a handler cancelled the event
+        emit: function(type, detail, cancelable) {
+            const event = {
+                type: type,
+                detail: detail || {},
+                defaultPrevented: false,
+                preventDefault: function() {
+                    if (cancelable) this.defaultPrevented = true;
+                }
+            };
+            
+            (this.eventHandlers?.[type] || []).slice().forEach(handler => {
+                try {
+                    handler.call(this, event);
+                } catch (error) {
+                    console.error(`DynamicForms ${type} handler failed:`, error);
+                }
+            });
+            
+            const form = this.getForm();
+            if (form) {
+                const domEvent = new CustomEvent(`dynamicforms:${type}`, {
+                    bubbles: true,
+                    cancelable: !!cancelable,
+                    detail: Object.assign({ instance: this }, event.detail)
+                });
+                if (!form.dispatchEvent(domEvent)) {
+                    event.defaultPrevented = true;
+                }
+            }
+            
+            return !event.defaultPrevented;
+        },
+        
+        // Forms initialized through create(), newest last
+        instances: [],
+        
+        // Numbers the id prefix of created forms that have no id of their own
+        instanceCount: 0,
+
+        // Independent runtime for one form: its own config, state, timers and listeners.
+        // The instance inherits every method, the namespaces and the shared validator registries.
+        // options.on ({ type: handler or [handlers] }) subscribes before initialization, which is
+        // the only way to hear 'ready' from an instance (create() returns after it fired).
+        create: function(formElement, options) {
+            const form = typeof formElement === 'string' ? document.getElementById(formElement) : formElement;
+            if (!form) {
+                throw new Error('DynamicForms.create needs a form element');
+            }
+            
+            // Own copies of what is not reset by initialize(), so nothing (timers above all)
+            // is read through from the page-level DynamicForms
+            const instance = Object.assign(Object.create(DynamicForms), {
+                form: form,
+                idPrefix: form.id || `dynamic_form_${++DynamicForms.instanceCount}`,
+                config: DEFAULT_CONFIG,
+                draftDatabase: null,
+                autoSaveInterval: null,
+                draftSaveTimeout: null,
+                announceTimer: null,
+                eventHandlers: null,
+                initialValues: null,
+                submitting: false,
+                hiddenValues: null,
+                conditionalGraph: null,
+                conditionalTrace: null,
+                workflowData: null
+            });
+            
+            const { on: handlers, ...config } = options || {};
+            Object.keys(handlers || {}).forEach(type => {
+                [].concat(handlers[type]).forEach(handler => instance.on(type, handler));
+            });
+            instance.initialize(config);
+            
+            DynamicForms.instances.push(instance);
+            return instance;
+        },
+        
+        // Id for an element the runtime adds to the form, kept unique when several forms share the page
+        getElementId: function(suffix) {
+            return `${this.idPrefix || this.getForm()?.id || 'dynamic_form'}_${suffix}`;
+        },
+        
+        // Instance whose form holds the element (the page-level DynamicForms otherwise)
+        instanceFor: function(element) {
+            return DynamicForms.instances.find(instance => instance.form.contains(element)) || DynamicForms;
+        },
+        
+        // Remove everything initialize() attached: listeners, timers and in-flight requests
+        destroy: function() {
+            (this.listeners || []).forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+            this.listeners = [];
+            
+            clearInterval(this.autoSaveInterval);
+            clearTimeout(this.draftSaveTimeout);
+            clearTimeout(this.announceTimer);
+            
+            if (this.conditionalTrace) {
+                clearTimeout(this.conditionalTrace.renderTimer);
+                this.conditionalTrace.panel?.remove();
+            }
+            
+            this.getForm()?.querySelectorAll('input, select, textarea').forEach(field => clearTimeout(field.validationTimeout));
+            this.getForm()?.querySelectorAll('.date-range-picker-container').forEach(container => {
+                this.DateRangePicker.pickers.delete(container);
+            });
+            
+            Object.values(this.customValidations || {}).forEach(state => {
+                clearTimeout(state.timer);
+                state.controller?.abort();
+                if (state.resolveDone) state.resolveDone();
+            });
+            Object.values(this.autoCompletes || {}).forEach(widget => {
+                clearTimeout(widget.debounceTimer);
+                this.abortAutoCompleteRequest(widget);
+            });
+            // Upload sessions stay on the server so the next page can resume them
+            Object.values(this.fileUploads || {}).forEach(state => {
+                state.items.filter(item => item.xhr).forEach(item => {
+                    item.status = 'cancelled';
+                    item.xhr.abort();
+                });
+            });
+            
+            this.draftDatabase?.then(db => db.close()).catch(() => {});
+            this.draftDatabase = null;
+            
+            const index = DynamicForms.instances.indexOf(this);
+            if (index !== -1) {
+                DynamicForms.instances.splice(index, 1);
+            }
+        },
+        
+        // Two-level merge: option groups (autoSave, validation, ...) keep the defaults they don't override
+        mergeConfig: function(base, options) {
+            const isGroup = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            const config = {};
+            
+            Object.keys(base).forEach(key => {
+                config[key] = isGroup(base[key]) ? Object.assign({}, base[key]) : base[key];
+            });
+            Object.keys(options || {}).forEach(key => {
+                config[key] = isGroup(config[key]) && isGroup(options[key])
+                    ? Object.assign(config[key], options[key])
+                    : options[key];
+            });
+            
+            return config;
+        },
+        
+        // addEventListener that destroy() can undo
+        listen: function(target, type, handler) {
+            target.addEventListener(type, handler);
+            (this.listeners || (this.listeners = [])).push({ target: target, type: type, handler: handler });
         },
         
         // Setup global event handlers
@@ -44,36 +374,49 @@
             if (!form) return;
             
             // Form submission handler
-            form.addEventListener('submit', this.handleFormSubmit.bind(this));
+            this.listen(form, 'submit', this.handleFormSubmit.bind(this));
             
             // Field change handlers
-            form.addEventListener('change', this.handleFieldChange.bind(this));
-            form.addEventListener('input', this.handleFieldInput.bind(this));
+            this.listen(form, 'change', this.handleFieldChange.bind(this));
+            this.listen(form, 'input', this.handleFieldInput.bind(this));
             
-            // Modal handlers
-            document.addEventListener('click', this.handleModalActions.bind(this));
+            // Modal handlers (modal editors may sit outside the form)
+            this.listen(document, 'click', this.handleModalActions.bind(this));
             
             // File upload handlers
-            form.addEventListener('change', this.handleFileUpload.bind(this));
+            this.listen(form, 'change', this.handleFileUpload.bind(this));
         },
         
         // Initialize form components
         initializeComponents: function() {
             this.initializeConditionalFields();
             this.initializeValidation();
+            this.initializeAccessibility();
+            this.initializeModalTables();
+            this.initializeCascades();
             this.initializeFileUploads();
-            this.initializeSpeciesAutoComplete();
+            this.initializeAutoCompletes();
             this.initializeTableFields();
+            this.initializeComputedFields();
+            this.initializeFieldSetValidations();
         },
         
         // Get the main form element
         getForm: function() {
+            if (this.form) {
+                return this.form;
+            }
             if (this.config.formId) {
                 return document.getElementById(this.config.formId);
             }
             return document.querySelector('form[data-dynamic-form]');
         },
         
+        // Where markup scans start: the form, or the whole page when there is none
+        getRoot: function() {
+            return this.getForm() || document;
+        },
+        
         // Handle form submission
         handleFormSubmit: function(e) {
             const form = e.target;
@@ -84,15 +427,268 @@
                 if (!isValid) {
                     e.preventDefault();
                     this.showValidationSummary();
+                    this.emitValidationFailed(form);
+                    return false;
+                }
+                
+                // Async custom validators still checking: hold the submit until they settle.
+                // Results are cached per value, so the retry validates synchronously.
+                if (this.hasPendingValidations()) {
+                    e.preventDefault();
+                    this.showFormLoading(true);
+                    
+                    this.whenValidationsSettle().then(() => {
+                        this.showFormLoading(false);
+                        if (!this.validateForm(form)) {
+                            this.showValidationSummary();
+                            this.emitValidationFailed(form);
+                        } else if (form.requestSubmit) {
+                            form.requestSubmit(e.submitter || undefined);
+                        } else {
+                            form.submit();
+                        }
+                    });
                     return false;
                 }
             }
             
-            // Show loading state
+            if (!this.emit('beforeSubmit', { submitter: e.submitter || null, ajax: !!this.config.submit.ajax }, true)) {
+                e.preventDefault();
+                return false;
+            }
+            
+            this.writeNextModuleField(form);
+            
+            if (this.config.submit.ajax) {
+                e.preventDefault();
+                this.submitForm(form, e.submitter);
+                return false;
+            }
+            
+            // Show loading state and let the form post normally
+            this.submitting = true;
+            this.showFormLoading(true);
+        },
+        
+        emitValidationFailed: function(form) {
+            const fieldIds = Array.from(form.querySelectorAll('.is-invalid'))
+                .map(field => field.closest('[data-field-id]')?.getAttribute('data-field-id'))
+                .filter(Boolean);
+            this.emit('validationFailed', { fieldIds: fieldIds });
+        },
+        
+        // AJAX submit. Errors in the response are attached to their fields; a successful response
+        // may carry RedirectUrl and/or Receipt.
+        submitForm: function(form, submitter) {
+            const options = this.config.submit;
+            const formData = new FormData(form);
+            if (submitter && submitter.name) {
+                formData.append(submitter.name, submitter.value);
+            }
+            
             this.showFormLoading(true);
             
-            // Allow form to submit normally or handle with AJAX
-            console.log('Form submitted');
+            return fetch(options.url || form.getAttribute('action') || window.location.href, {
+                method: 'POST',
+                body: formData,
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest'
+                }
+            })
+            .then(response => response.json()
+                .catch(() => ({}))
+                .then(data => ({ response: response, data: data })))
+            .then(({ response, data }) => {
+                this.showFormLoading(false);
+                
+                const errors = this.getServerValidationErrors(data);
+                if (!response.ok || data.success === false || errors.length > 0) {
+                    if (errors.length === 0) {
+                        errors.push({ fieldId: null, message: this.getValidationMessage('submitFailed') });
+                    }
+                    this.showServerValidation(form, errors);
+                    if (typeof options.onError === 'function') {
+                        options.onError(errors, data, form);
+                    }
+                    this.emit('submitFailed', { errors: errors, data: data });
+                    return data;
+                }
+                
+                this.emit('submitted', { data: data });
+                this.handleSubmitSuccess(form, data);
+                return data;
+            })
+            .catch(error => {
+                console.error('Submit failed:', error);
+                this.showFormLoading(false);
+                this.showServerValidation(form, [{ fieldId: null, message: this.getValidationMessage('submitFailed') }]);
+                return null;
+            });
+        },
+        
+        // Normalize a server validation payload to [{ fieldId, message }] (fieldId null for form-level errors).
+        // Understands ValidationResult ({ Errors: [{ FieldId, Message, MessageFr }] }), RazorPageValidationResult
+        // ({ FieldErrors: { id: message }, ModuleErrors }), WorkflowValidationResult (ModuleValidationResults,
+        // WorkflowErrors), ModelState / ValidationProblemDetails ({ errors: { key: [messages] } }) and
+        // { success: false, error: 'message' }, on their own or wrapped in ValidationResults.
+        getServerValidationErrors: function(data) {
+            if (!data || typeof data !== 'object') return [];
+            
+            const isFrench = this.config.language === 'FR';
+            const errors = [];
+            const add = (fieldId, message) => {
+                if (message) errors.push({ fieldId: fieldId || null, message: String(message) });
+            };
+            
+            const wrapped = this.getSchemaValue(data, 'ValidationResults');
+            if (wrapped) {
+                [].concat(wrapped).forEach(result => errors.push(...this.getServerValidationErrors(result)));
+            }
+            
+            const list = this.getSchemaValue(data, 'Errors');
+            if (Array.isArray(list)) {
+                list.forEach(error => {
+                    if (typeof error === 'string') {
+                        add(null, error);
+                    } else {
+                        add(this.getSchemaValue(error, 'FieldId'),
+                            (isFrench && this.getSchemaValue(error, 'MessageFr')) ||
+                            this.getSchemaValue(error, 'Message') ||
+                            this.getSchemaValue(error, 'ErrorMessage'));
+                    }
+                });
+            } else if (list && typeof list === 'object') {
+                Object.keys(list).forEach(key => {
+                    [].concat(list[key]).forEach(message => {
+                        add(key, typeof message === 'string' ? message : this.getSchemaValue(message, 'ErrorMessage'));
+                    });
+                });
+            }
+            
+            const fieldErrors = this.getSchemaValue(data, 'FieldErrors');
+            if (Array.isArray(fieldErrors)) {
+                errors.push(...this.getServerValidationErrors({ Errors: fieldErrors }));
+            } else if (fieldErrors && typeof fieldErrors === 'object') {
+                Object.keys(fieldErrors).forEach(fieldId => {
+                    [].concat(fieldErrors[fieldId]).forEach(message => add(fieldId, message));
+                });
+            }
+            
+            [].concat(this.getSchemaValue(data, 'ModuleErrors') || [], this.getSchemaValue(data, 'WorkflowErrors') || [])
+                .forEach(message => add(null, message));
+            
+            if (typeof this.getSchemaValue(data, 'Error') === 'string') {
+                add(null, this.getSchemaValue(data, 'Error'));
+            }
+            
+            Object.values(this.getSchemaValue(data, 'ModuleValidationResults') || {})
+                .forEach(result => errors.push(...this.getServerValidationErrors(result)));
+            
+            return errors;
+        },
+        
+        // Field container for a server error key: a field id, an input name
+        // (ModelState keys such as "Submission.Fields[0].Value") or a dotted path ending in the field id
+        findServerErrorContainer: function(form, key) {
+            const byId = form.querySelector(`[data-field-id="${CSS.escape(key)}"]`);
+            if (byId) return byId;
+            
+            const input = form.querySelector(`[name="${CSS.escape(key)}"]`);
+            if (input && input.closest('[data-field-id]')) return input.closest('[data-field-id]');
+            
+            const lastSegment = key.split('.').pop();
+            return lastSegment !== key
+                ? form.querySelector(`[data-field-id="${CSS.escape(lastSegment)}"]`)
+                : null;
+        },
+        
+        showServerValidation: function(form, errors) {
+            const byContainer = new Map();
+            const formErrors = [];
+            
+            errors.forEach(error => {
+                const container = error.fieldId ? this.findServerErrorContainer(form, error.fieldId) : null;
+                if (!container) {
+                    formErrors.push(error.message);
+                    return;
+                }
+                if (!byContainer.has(container)) byContainer.set(container, []);
+                byContainer.get(container).push(error.message);
+            });
+            
+            byContainer.forEach((messages, container) => this.showFieldValidation(container, messages));
+            
+            // The summary takes focus when shown; otherwise the first invalid field does
+            if (!this.showValidationSummary(formErrors)) {
+                this.focusFirstError(form);
+            }
+        },
+        
+        focusFirstError: function(form) {
+            const invalid = form.querySelector('.is-invalid');
+            if (invalid && typeof invalid.focus === 'function') {
+                invalid.focus();
+            }
+        },
+        
+        handleSubmitSuccess: function(form, data) {
+            const options = this.config.submit;
+            
+            form.querySelector('.validation-summary-dynamic')?.remove();
+            if (this.config.autoSave.enabled) {
+                this.deleteLocalDraft();
+            }
+            this.resetChanges();
+            
+            if (typeof options.onSuccess === 'function' && options.onSuccess(data, form) === false) {
+                return;
+            }
+            
+            const redirectUrl = this.getSchemaValue(data, 'RedirectUrl');
+            if (redirectUrl && options.redirect !== false) {
+                window.location.assign(redirectUrl);
+                return;
+            }
+            
+            const receipt = this.getSchemaValue(data, 'Receipt');
+            if (receipt) {
+                if (typeof options.onReceipt === 'function') {
+                    options.onReceipt(receipt, data, form);
+                } else {
+                    this.showSubmitReceipt(form, receipt);
+                }
+            }
+        },
+        
+        // Built-in receipt: a success alert in place of the form.
+        // receipt: text, or { Message, ReferenceNumber }
+        showSubmitReceipt: function(form, receipt) {
+            const isFrench = this.config.language === 'FR';
+            const message = typeof receipt === 'string'
+                ? receipt
+                : this.getSchemaValue(receipt, 'Message') || (isFrench ? 'Votre formulaire a t soumis.' : 'Your form has been submitted.');
+            const reference = typeof receipt === 'object' ? this.getSchemaValue(receipt, 'ReferenceNumber') : null;
+            
+            const alert = document.createElement('div');
+            alert.className = 'alert alert-success submit-receipt';
+            alert.setAttribute('role', 'status');
+            alert.tabIndex = -1;
+            
+            const text = document.createElement('p');
+            text.className = 'mb-0';
+            text.textContent = message;
+            alert.appendChild(text);
+            
+            if (reference) {
+                const referenceEl = document.createElement('p');
+                referenceEl.className = 'mb-0 mt-2';
+                referenceEl.textContent = `${isFrench ? 'Numro de rfrence :' : 'Reference number:'} ${reference}`;
+                alert.appendChild(referenceEl);
+            }
+            
+            form.parentNode.insertBefore(alert, form);
+            form.classList.add('d-none');
+            alert.focus();
         },
         
         // Handle field changes
@@ -106,16 +702,34 @@
                 // Clear previous validation errors
                 this.clearFieldValidation(fieldContainer);
                 
-                // Validate field
-                this.validateField(field);
+                // Validate field (a selection just cleared by a cascade or a rule is not the user's error yet)
+                if (!e.detail?.cascade && !e.detail?.conditional) {
+                    this.validateField(field);
+                }
                 
                 // Handle conditional logic
-                this.handleConditionalLogic(fieldId, field.value);
+                this.handleConditionalLogic(fieldId);
+                
+                // Fields validated against this one (RelationshipType.Validation)
+                this.revalidateDependents(fieldId);
+
+                // Repopulate cascading children
+                if (field.hasAttribute('data-cascade-trigger') || this.cascades?.[fieldId]) {
+                    this.refreshCascadeChildren(fieldId);
+                }
+                
+                // Recalculate computed fields that depend on this one
+                this.recomputeDependents(fieldId);
+                
+                // Re-check group rules this field belongs to
+                this.validateFieldSetsFor(fieldId);
                 
                 // Auto-save if enabled
                 if (this.config.autoSave.enabled) {
                     this.saveFieldData(fieldId, field.value);
                 }
+                
+                this.emit('fieldChange', { fieldId: fieldId, value: this.readFieldValue(fieldContainer), field: field });
             }
         },
         
@@ -128,6 +742,12 @@
             field.validationTimeout = setTimeout(() => {
                 this.validateField(field);
             }, 500);
+            
+            // Keep computed totals live while typing
+            const fieldId = field.closest('[data-field-id]')?.getAttribute('data-field-id');
+            if (fieldId) {
+                this.recomputeDependents(fieldId);
+            }
         },
         
         // Handle modal actions
@@ -139,6 +759,10 @@
             const modalId = target.getAttribute('data-modal-id');
             const recordId = target.getAttribute('data-record-id');
             
+            // Buttons in another form belong to that form's instance
+            const ownerForm = target.closest('form');
+            if (ownerForm ? ownerForm !== this.getForm() : !this.modalTables?.[modalId]) return;
+            
             switch (action) {
                 case 'add-modal-record':
                     this.openModalForAdd(modalId);
@@ -149,6 +773,9 @@
                 case 'delete-modal-record':
                     this.deleteModalRecord(modalId, recordId);
                     break;
+                case 'save-modal-record':
+                    this.saveModalRecord(modalId);
+                    break;
             }
         },
         
@@ -163,6 +790,14 @@
             const fieldContainer = input.closest('[data-field-id]');
             const fieldId = fieldContainer?.getAttribute('data-field-id');
             
+            if (files.length > 1 && !input.multiple) {
+                alert(this.config.language === 'FR'
+                    ? 'Un seul fichier est autoris.'
+                    : 'Only one file is allowed.');
+                input.value = '';
+                return;
+            }
+            
             // Validate file(s)
             for (let file of files) {
                 if (!this.validateFile(file, input)) {
@@ -178,432 +813,6730 @@
             this.uploadFiles(fieldId, files);
         },
         
-        // Initialize conditional field logic
+        // Initialize conditional field logic: index the rules once, then settle every field
         initializeConditionalFields: function() {
-            const conditionalFields = document.querySelectorAll('[data-conditional-rules]');
+            if (this.isConditionalDebugEnabled() && !this.conditionalTrace) {
+                this.conditionalTrace = { cause: null, timeline: [], latest: {}, panel: null, renderTimer: null, collapsed: false };
+            }
             
-            conditionalFields.forEach(field => {
-                const rules = JSON.parse(field.getAttribute('data-conditional-rules'));
-                this.applyConditionalRules(field, rules);
-            });
+            this.conditionalGraph = this.buildConditionalGraph();
+            if (this.conditionalTrace) this.conditionalTrace.cause = 'load';
+            this.evaluateConditionalEntries(this.conditionalGraph.entries);
         },
         
-        // Handle conditional logic
-        handleConditionalLogic: function(changedFieldId, value) {
-            const dependentFields = document.querySelectorAll(`[data-depends-on="${changedFieldId}"]`);
+        // Dependency graph of conditional fields. Each entry is a field with legacy data-depends-on
+        // and/or V4 data-conditional-rules; dependents maps a field id to the entries that read it.
+        // Entries are ranked in topological order so a chain (A shows B, B shows C) settles in one pass.
+        buildConditionalGraph: function() {
+            const graph = { entries: [], dependents: {}, byFieldId: {}, containers: {}, cycles: [] };
+            const root = this.getRoot();
             
-            dependentFields.forEach(field => {
-                const condition = field.getAttribute('data-condition');
-                const expectedValue = field.getAttribute('data-expected-value');
+            root.querySelectorAll('[data-field-id]').forEach(container => {
+                const fieldId = container.getAttribute('data-field-id');
+                if (!graph.containers[fieldId]) graph.containers[fieldId] = container;
+            });
+            
+            root.querySelectorAll('[data-depends-on], [data-conditional-rules]').forEach(element => {
+                const container = element.closest('[data-field-id]') || element;
+                const entry = {
+                    element: element,
+                    container: container,
+                    fieldId: container.getAttribute('data-field-id'),
+                    legacy: null,
+                    rules: null,
+                    sources: [],
+                    rank: 0
+                };
+                
+                if (element.hasAttribute('data-depends-on')) {
+                    entry.legacy = {
+                        dependsOn: element.getAttribute('data-depends-on'),
+                        condition: element.getAttribute('data-condition'),
+                        expectedValue: element.getAttribute('data-expected-value')
+                    };
+                    entry.sources.push(entry.legacy.dependsOn);
+                }
                 
-                const shouldShow = this.evaluateCondition(value, condition, expectedValue);
-                this.toggleFieldVisibility(field, shouldShow);
+                if (element.hasAttribute('data-conditional-rules')) {
+                    try {
+                        entry.rules = JSON.parse(element.getAttribute('data-conditional-rules')) || [];
+                    } catch (error) {
+                        console.error(`Invalid conditional rules on ${entry.fieldId}:`, error.message);
+                        entry.rules = [];
+                    }
+                    // Other modules' answers are a fixed snapshot, so only this page's fields are sources
+                    entry.rules.forEach(rule => {
+                        this.getConditionFieldReferences(this.getSchemaValue(rule, 'Condition')).forEach(ref => {
+                            const { moduleKey, fieldId } = this.parseFieldReference(ref);
+                            if (!moduleKey || moduleKey === this.config.moduleKey) {
+                                entry.sources.push(fieldId);
+                            }
+                        });
+                    });
+                }
+                
+                entry.sources = [...new Set(entry.sources)];
+                graph.entries.push(entry);
+                if (entry.fieldId) {
+                    (graph.byFieldId[entry.fieldId] || (graph.byFieldId[entry.fieldId] = [])).push(entry);
+                }
+                entry.sources.forEach(source => {
+                    (graph.dependents[source] || (graph.dependents[source] = [])).push(entry);
+                });
+            });
+            
+            // Kahn's algorithm over entry -> entry edges; whatever is left over sits on a cycle
+            const indegree = new Map(graph.entries.map(entry => [entry, 0]));
+            graph.entries.forEach(entry => {
+                entry.sources.forEach(source => {
+                    (graph.byFieldId[source] || []).forEach(() => indegree.set(entry, indegree.get(entry) + 1));
+                });
             });
+            
+            const queue = graph.entries.filter(entry => indegree.get(entry) === 0);
+            let rank = 0;
+            while (queue.length > 0) {
+                const entry = queue.shift();
+                entry.rank = rank++;
+                (graph.dependents[entry.fieldId] || []).forEach(dependent => {
+                    indegree.set(dependent, indegree.get(dependent) - 1);
+                    if (indegree.get(dependent) === 0) queue.push(dependent);
+                });
+            }
+            
+            const cyclic = graph.entries.filter(entry => indegree.get(entry) > 0);
+            if (cyclic.length > 0) {
+                graph.cycles = cyclic.map(entry => entry.fieldId);
+                console.error(`Conditional logic dependency cycle between fields: ${graph.cycles.join(', ')}`);
+                cyclic.forEach(entry => { entry.rank = rank++; });
+            }
+            
+            return graph;
         },
         
-        // Evaluate conditional expression
-        evaluateCondition: function(actualValue, condition, expectedValue) {
-            switch (condition) {
-                case 'equals':
-                    return actualValue === expectedValue;
-                case 'not-equals':
-                    return actualValue !== expectedValue;
-                case 'contains':
-                    return actualValue.includes(expectedValue);
-                case 'greater-than':
-                    return parseFloat(actualValue) > parseFloat(expectedValue);
-                case 'less-than':
-                    return parseFloat(actualValue) < parseFloat(expectedValue);
-                case 'is-empty':
-                    return !actualValue || actualValue.trim() === '';
-                case 'is-not-empty':
-                    return actualValue && actualValue.trim() !== '';
-                default:
-                    return true;
-            }
+        // Re-index after fields were added or removed
+        refreshConditionalGraph: function() {
+            this.initializeConditionalFields();
         },
         
-        // Toggle field visibility
-        toggleFieldVisibility: function(field, visible) {
-            const container = field.closest('[data-field-id]') || field;
+        // Handle conditional logic: re-evaluate only the fields that depend on the changed one.
+        // value overrides the live value of changedFieldId (e.g. the list of uploaded files).
+        handleConditionalLogic: function(changedFieldId, value) {
+            const graph = this.conditionalGraph || (this.conditionalGraph = this.buildConditionalGraph());
+            const overrides = value !== undefined ? { [changedFieldId]: value } : null;
             
-            if (visible) {
-                container.style.display = '';
-                container.classList.remove('d-none');
-            } else {
-                container.style.display = 'none';
-                container.classList.add('d-none');
+            if (this.conditionalTrace) this.conditionalTrace.cause = changedFieldId;
+            this.evaluateConditionalEntries(graph.dependents[changedFieldId] || [], overrides);
+        },
+        
+        // Evaluate entries in topological order, following a dependent only when a visibility
+        // actually changed. All values are read first; the DOM is written once at the end.
+        evaluateConditionalEntries: function(startEntries, overrides, isRetry) {
+            const graph = this.conditionalGraph;
+            const decisions = new Map();
+            const valueCache = Object.assign({}, overrides);
+            const pending = new Set(startEntries);
+            
+            const isShown = entry => !entry.container.classList.contains('d-none');
+            const readValue = fieldId => {
+                // A field hidden (or revealed) earlier in this pass reads as it will once written
+                const entry = graph.byFieldId[fieldId]?.find(candidate => decisions.has(candidate));
+                if (entry && decisions.get(entry) !== isShown(entry)) {
+                    if (!decisions.get(entry)) {
+                        if (this.getHidePolicy(entry.container) !== 'submit') return null;
+                    } else if (this.hiddenValues?.has(entry.container)) {
+                        return this.hiddenValues.get(entry.container).value;
+                    }
+                }
                 
-                // Clear field value when hidden
-                const inputs = container.querySelectorAll('input, select, textarea');
-                inputs.forEach(input => {
-                    if (input.type === 'checkbox' || input.type === 'radio') {
-                        input.checked = false;
-                    } else {
-                        input.value = '';
+                if (!(fieldId in valueCache)) {
+                    const container = graph.containers[fieldId];
+                    valueCache[fieldId] = container && container.isConnected
+                        ? this.readFieldValue(container)
+                        : this.getFieldValue(fieldId);
+                }
+                return valueCache[fieldId];
+            };
+            
+            const states = new Map();
+            while (pending.size > 0) {
+                const entry = Array.from(pending).reduce((a, b) => (b.rank < a.rank ? b : a));
+                pending.delete(entry);
+                if (decisions.has(entry)) continue;
+                
+                const record = this.conditionalTrace ? { values: {}, legacy: null, rules: [] } : null;
+                const state = this.evaluateConditionalEntry(entry, readValue, record);
+                const visible = state.visible;
+                decisions.set(entry, visible);
+                states.set(entry, state);
+                if (record) this.recordConditionalTrace(entry, state, record);
+                
+                if (visible !== isShown(entry) && entry.fieldId) {
+                    (graph.dependents[entry.fieldId] || []).forEach(dependent => pending.add(dependent));
+                }
+            }
+            
+            // Write phase
+            const cancelled = [];
+            Array.from(decisions.keys())
+                .sort((a, b) => a.rank - b.rank)
+                .forEach(entry => {
+                    const visible = decisions.get(entry);
+                    if (visible === isShown(entry)) return;
+                    
+                    this.toggleFieldVisibility(entry.element, visible);
+                    if (!visible && isShown(entry)) {
+                        cancelled.push(entry);
                     }
                 });
+            
+            const valueChanged = Array.from(states.keys())
+                .sort((a, b) => a.rank - b.rank)
+                .filter(entry => entry.rules && this.applyConditionalState(entry, states.get(entry)));
+            
+            // Values written by SetValue/ClearValue flow on like user input (validation excepted)
+            valueChanged.forEach(entry => {
+                this.getFieldInputs(entry.container)[0]?.dispatchEvent(new CustomEvent('change', {
+                    bubbles: true,
+                    detail: { conditional: true }
+                }));
+            });
+
+            // A beforeHide handler kept a field visible: its dependents were settled as if it were hidden
+            if (cancelled.length > 0 && !isRetry) {
+                const dependents = cancelled.reduce((list, entry) => list.concat(graph.dependents[entry.fieldId] || []), []);
+                this.evaluateConditionalEntries(dependents, overrides, true);
             }
         },
         
-        // Initialize form validation
-        initializeValidation: function() {
-            if (!this.config.validation.enabled) return;
+        // State of one graph entry (see resolveConditionalRules); legacy and V4 conditions must both allow visibility.
+        // record, when given, collects the values read and each rule's outcome for the debug trace.
+        evaluateConditionalEntry: function(entry, readValue, record) {
+            let visible = true;
             
-            const form = this.getForm();
-            if (form) {
-                form.setAttribute('novalidate', '');
+            if (entry.legacy) {
+                const value = readValue(entry.legacy.dependsOn);
+                const actual = typeof value === 'boolean' ? String(value) : (value ?? '');
+                visible = this.evaluateCondition(actual, entry.legacy.condition, entry.legacy.expectedValue);
+                
+                if (record) {
+                    record.values[entry.legacy.dependsOn] = value;
+                    record.legacy = {
+                        field: entry.legacy.dependsOn,
+                        operator: entry.legacy.condition,
+                        expected: entry.legacy.expectedValue,
+                        actual: actual,
+                        result: visible
+                    };
+                }
             }
-        },
-        
-        // Validate entire form
-        validateForm: function(form) {
-            let isValid = true;
-            const fields = form.querySelectorAll('input, select, textarea');
             
-            fields.forEach(field => {
-                if (!this.validateField(field)) {
-                    isValid = false;
-                }
-            });
+            if (!entry.rules) {
+                return { visible: visible, required: null, disabled: null, readOnly: null, value: null };
+            }
             
-            return isValid;
+            const localValues = {};
+            entry.sources.forEach(fieldId => { localValues[fieldId] = readValue(fieldId); });
+            if (record) Object.assign(record.values, localValues);
+            
+            const values = Object.assign({}, this.workflowData, localValues);
+            if (this.config.moduleKey) values[this.config.moduleKey] = values;
+            
+            const state = this.resolveConditionalRules(entry.rules, values, record?.rules);
+            state.visible = visible && state.visible;
+            return state;
         },
         
-        // Validate individual field
-        validateField: function(field) {
-            const fieldContainer = field.closest('[data-field-id]');
-            if (!fieldContainer) return true;
+        // Write the required/disabled/read-only/value state of an entry, touching only what changed.
+        // Returns true when a SetValue/ClearValue rule changed the field's value.
+        applyConditionalState: function(entry, state) {
+            const previous = entry.appliedState;
+            const container = entry.container;
+            entry.appliedState = state;
             
-            let isValid = true;
-            const errors = [];
+            if (!previous || state.required !== previous.required) {
+                this.setConditionalRequired(container, state.required, !previous);
+            }
+            if (!previous || state.disabled !== previous.disabled) {
+                this.setConditionalFlag(container, 'disabled', state.disabled);
+            }
+            if (!previous || state.readOnly !== previous.readOnly) {
+                this.setConditionalFlag(container, 'readOnly', state.readOnly);
+            }
             
-            // Required validation
-            if (field.hasAttribute('required') && !this.hasValue(field)) {
-                errors.push(this.getValidationMessage('required', field));
-                isValid = false;
+            // Values are written when a rule starts to apply: never at load, where the rendered
+            // value is the saved answer, and not again while the same rule keeps applying
+            const valueRule = state.value?.rule || null;
+            if (!previous || !valueRule || valueRule === previous.value?.rule) return false;
+            
+            this.writeFieldValue(container, state.value.clear ? null : this.getSchemaValue(valueRule, 'Value'));
+            return true;
+        },
+        
+        // Required override from rules (null restores the rendered rule). The validation state is
+        // refreshed if the field was already checked; otherwise the user sees it on the next check.
+        setConditionalRequired: function(container, required, isInitial) {
+            if (required === null) {
+                container.removeAttribute('data-conditional-required');
+            } else {
+                container.setAttribute('data-conditional-required', String(required));
             }
             
-            // Type-specific validation
-            if (this.hasValue(field)) {
-                switch (field.type) {
-                    case 'email':
-                        if (!this.isValidEmail(field.value)) {
-                            errors.push(this.getValidationMessage('email', field));
-                            isValid = false;
-                        }
-                        break;
-                    case 'url':
-                        if (!this.isValidUrl(field.value)) {
-                            errors.push(this.getValidationMessage('url', field));
-                            isValid = false;
-                        }
-                        break;
-                    case 'number':
-                        if (!this.isValidNumber(field.value)) {
-                            errors.push(this.getValidationMessage('number', field));
-                            isValid = false;
-                        }
-                        break;
-                }
+            const input = this.getFieldInputs(container)[0];
+            if (!input) return;
+            
+            const renderedRequired = input.hasAttribute('required') ||
+                this.getSchemaValue(this.getValidationConfig(input, container), 'IsRequired') === true;
+            const isRequired = required === null ? renderedRequired : required;
+            
+            this.getAccessibleInputs(container).forEach(accessibleInput => {
+                accessibleInput.setAttribute('aria-required', String(isRequired));
+            });
+            
+            const label = container.querySelector('label, legend');
+            if (label) {
+                label.classList.toggle('field-required', isRequired && !renderedRequired);
+                label.querySelector('.text-danger')?.classList.toggle('d-none', !isRequired);
             }
             
-            // Length validation
-            const maxLength = field.getAttribute('maxlength');
-            if (maxLength && field.value.length > parseInt(maxLength)) {
-                errors.push(this.getValidationMessage('maxlength', field, maxLength));
-                isValid = false;
+            if (!isInitial && container.querySelector('.is-invalid, .is-valid')) {
+                this.validateField(input, true);
             }
+        },
+        
+        // Disabled/read-only override from rules; each input keeps its rendered value in
+        // data-rule-<property> so a null state restores it. Hidden fields stay disabled.
+        setConditionalFlag: function(container, property, value) {
+            const name = property.toLowerCase();
+            const marker = `data-rule-${name}`;
             
-            // Show/hide validation errors
-            this.showFieldValidation(fieldContainer, errors);
+            if (value === null) {
+                container.removeAttribute(`data-conditional-${name}`);
+            } else {
+                container.setAttribute(`data-conditional-${name}`, String(value));
+            }
             
-            return isValid;
+            this.getHideableInputs(container).forEach(input => {
+                let next;
+                if (value === null) {
+                    if (!input.hasAttribute(marker)) return;
+                    next = input.getAttribute(marker) === 'true';
+                    input.removeAttribute(marker);
+                } else {
+                    if (!input.hasAttribute(marker)) {
+                        input.setAttribute(marker, String(property === 'disabled' && input.hasAttribute('data-hidden-disabled')
+                            ? false
+                            : input[property]));
+                    }
+                    next = value;
+                }
+                
+                input[property] = property === 'disabled' ? next || input.hasAttribute('data-hidden-disabled') : next;
+            });
+            
+            if (property === 'disabled' && value === true) {
+                this.clearFieldValidation(container);
+            }
         },
         
-        // Check if field has value
-        hasValue: function(field) {
-            if (field.type === 'checkbox' || field.type === 'radio') {
-                return field.checked;
-            }
-            return field.value && field.value.trim() !== '';
+        // Apply V4 ConditionalRule[] (show/hide actions) to a field element
+        applyConditionalRules: function(field, rules) {
+            const visible = this.evaluateConditionalRules(rules);
+            this.toggleFieldVisibility(field, visible);
+            return visible;
         },
         
-        // Validation helper functions
-        isValidEmail: function(email) {
-            const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            return re.test(email);
+        // Visibility from V4 ConditionalRule[], against live values or a values map
+        evaluateConditionalRules: function(rules, values) {
+            return this.resolveConditionalRules(rules, values).visible;
         },
         
-        isValidUrl: function(url) {
-            try {
-                new URL(url);
-                return true;
-            } catch {
-                return false;
-            }
+        // Resolve V4 ConditionalRule[] into field state: { visible, required, disabled, readOnly,
+        // value: { rule, clear } }. Inactive rules are skipped; for each state the triggered rule with
+        // the lowest Priority wins. null means no rule applies and the field keeps how it was rendered.
+        // trace, when given, receives one entry per rule with its outcome and evaluated leaves.
+        resolveConditionalRules: function(rules, values, trace) {
+            const state = { visible: null, required: null, disabled: null, readOnly: null, value: null };
+            const priority = rule => this.getSchemaValue(rule, 'Priority') ?? 100;
+            const candidates = [];
+            let hasShowRule = false;
+            
+            const describe = (rule, status) => {
+                if (!trace) return null;
+                const item = {
+                    id: this.getSchemaValue(rule, 'Id') ?? null,
+                    description: this.getSchemaValue(rule, 'Description') ?? null,
+                    category: this.getSchemaValue(rule, 'Category') ?? null,
+                    tags: this.getSchemaValue(rule, 'Tags') || [],
+                    action: this.getSchemaValue(rule, 'Action') ?? null,
+                    priority: priority(rule),
+                    status: status,
+                    leaves: []
+                };
+                trace.push(item);
+                return item;
+            };
+            
+            (rules || []).forEach(rule => {
+                const action = RULE_ACTIONS[String(this.getSchemaValue(rule, 'Action') || '').toLowerCase()];
+                if (this.getSchemaValue(rule, 'IsActive') === false) {
+                    describe(rule, 'inactive');
+                } else if (!action) {
+                    describe(rule, 'unsupported action');
+                } else {
+                    candidates.push({ rule: rule, action: action });
+                }
+            });
+            
+            candidates
+                .sort((a, b) => (priority(a.rule) - priority(b.rule)) ||
+                    ((b.action.restrictive ? 1 : 0) - (a.action.restrictive ? 1 : 0)))
+                .forEach(({ rule, action }) => {
+                    if (action.state === 'visible' && action.value) hasShowRule = true;
+                    if (state[action.state] !== null) {
+                        describe(rule, 'overridden');
+                        return;
+                    }
+                    
+                    const item = describe(rule, 'not met');
+                    if (!this.evaluateConditionTree(this.getSchemaValue(rule, 'Condition'), values, item?.leaves)) return;
+                    if (item) item.status = 'applied';
+                    
+                    state[action.state] = action.state === 'value'
+                        ? { rule: rule, clear: action.value === 'clear' }
+                        : action.value;
+                });
+            
+            // Show rules make a field opt-in
+            if (state.visible === null) state.visible = !hasShowRule;
+            return state;
         },
         
-        isValidNumber: function(value) {
-            return !isNaN(value) && !isNaN(parseFloat(value));
+        // Conditional logic debug trace (config.conditional.debug or ?dfDebug=1)
+        isConditionalDebugEnabled: function() {
+            if (this.config.conditional.debug) return true;
+            
+            const flag = new URLSearchParams(window.location.search).get('dfDebug');
+            return flag !== null && flag !== '0' && flag !== 'false';
         },
         
-        // Get validation message
-        getValidationMessage: function(type, field, param) {
-            const messages = {
-                EN: {
-                    required: 'This field is required.',
-                    email: 'Please enter a valid email address.',
-                    url: 'Please enter a valid URL.',
-                    number: 'Please enter a valid number.',
-                    maxlength: `Maximum ${param} characters allowed.`
-                },
-                FR: {
-                    required: 'Ce champ est obligatoire.',
-                    email: 'Veuillez entrer une adresse e-mail valide.',
-                    url: 'Veuillez entrer une URL valide.',
-                    number: 'Veuillez entrer un nombre valide.',
-                    maxlength: `Maximum ${param} caractres autoriss.`
+        recordConditionalTrace: function(entry, state, record) {
+            const trace = this.conditionalTrace;
+            const fieldId = entry.fieldId || entry.element.id || '(unnamed)';
+            
+            Object.assign(record, {
+                time: new Date().toISOString(),
+                cause: trace.cause,
+                fieldId: fieldId,
+                state: {
+                    visible: state.visible,
+                    required: state.required,
+                    disabled: state.disabled,
+                    readOnly: state.readOnly,
+                    value: state.value ? (state.value.clear ? 'clear' : 'set') : null
                 }
+            });
+            
+            trace.latest[fieldId] = record;
+            trace.timeline.push(record);
+            if (trace.timeline.length > 500) trace.timeline.shift();
+            
+            clearTimeout(trace.renderTimer);
+            trace.renderTimer = setTimeout(() => this.renderConditionalDebugPanel(), 50);
+        },
+        
+        // Everything the panel shows, as plain JSON for bug reports
+        getConditionalTrace: function() {
+            const trace = this.conditionalTrace;
+            const graph = this.conditionalGraph;
+            
+            return {
+                formId: this.config.formId,
+                moduleKey: this.config.moduleKey,
+                exportedAt: new Date().toISOString(),
+                graph: graph ? {
+                    entries: graph.entries.map(entry => ({ fieldId: entry.fieldId, sources: entry.sources, rank: entry.rank })),
+                    cycles: graph.cycles
+                } : null,
+                fields: trace ? trace.latest : {},
+                timeline: trace ? trace.timeline : []
             };
+        },
+        
+        exportConditionalTrace: function() {
+            const blob = new Blob([JSON.stringify(this.getConditionalTrace(), null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = this.Dom.create('a', { href: url, download: `conditional-trace-${this.config.formId || 'form'}.json` });
             
-            return messages[this.config.language][type] || messages.EN[type];
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
         },
         
-        // Show field validation errors
-        showFieldValidation: function(fieldContainer, errors) {
-            this.clearFieldValidation(fieldContainer);
+        renderConditionalDebugPanel: function() {
+            const trace = this.conditionalTrace;
+            if (!trace) return;
             
-            if (errors.length > 0) {
-                // Add error class to field
-                const field = fieldContainer.querySelector('input, select, textarea');
-                if (field) {
-                    field.classList.add('is-invalid');
+            const Dom = this.Dom;
+            if (!trace.panel) {
+                trace.panel = Dom.create('aside', {
+                    className: 'dynamic-forms-debug-panel',
+                    attrs: { 'aria-label': 'Conditional logic trace' }
+                });
+                document.body.appendChild(trace.panel);
+            }
+            
+            const button = (text, onClick) => Dom.create('button', {
+                type: 'button',
+                className: 'btn btn-sm btn-outline-secondary',
+                text: text,
+                on: { click: onClick }
+            });
+            
+            const header = Dom.create('div', { className: 'debug-panel-header' }, [
+                Dom.create('strong', { text: `Conditional logic: ${this.config.formId || this.getForm()?.id || 'form'}` }),
+                button('Export JSON', () => this.exportConditionalTrace()),
+                button('Clear timeline', () => {
+                    trace.timeline = [];
+                    this.renderConditionalDebugPanel();
+                }),
+                button(trace.collapsed ? 'Expand' : 'Collapse', () => {
+                    trace.collapsed = !trace.collapsed;
+                    this.renderConditionalDebugPanel();
+                })
+            ]);
+            
+            if (trace.collapsed) {
+                trace.panel.replaceChildren(header);
+                return;
+            }
+            
+            const cycles = this.conditionalGraph?.cycles || [];
+            trace.panel.replaceChildren();
+            Dom.append(trace.panel, [
+                header,
+                cycles.length > 0
+                    ? Dom.create('div', { className: 'debug-cycle', text: `Dependency cycle: ${cycles.join(', ')}` })
+                    : null,
+                Dom.create('h6', { text: 'Fields' }),
+                ...Object.keys(trace.latest).map(fieldId => this.renderDebugFieldRecord(trace.latest[fieldId])),
+                Dom.create('h6', { text: 'Timeline' }),
+                Dom.create('ol', { className: 'debug-timeline', reversed: true },
+                    trace.timeline.slice(-100).reverse().map(record => Dom.create('li', {
+                        text: `${record.time.substring(11, 23)}  ${record.cause} -> ${record.fieldId}: ${this.describeDebugState(record.state)}`
+                    })))
+            ]);
+        },
+        
+        renderDebugFieldRecord: function(record) {
+            const Dom = this.Dom;
+            const format = value => (value === undefined ? 'undefined' : JSON.stringify(value));
+            const leafItem = leaf => Dom.create('li', {
+                className: leaf.result ? 'debug-true' : 'debug-false',
+                text: `${leaf.field} ${leaf.operator} ${format(leaf.expected)} (value ${format(leaf.actual)}): ` +
+                    (leaf.error ? `error: ${leaf.error}` : String(leaf.result))
+            });
+            
+            return Dom.create('details', { className: 'debug-field' }, [
+                Dom.create('summary', { text: `${record.fieldId}: ${this.describeDebugState(record.state)}` }),
+                Dom.create('div', {
+                    className: 'debug-values',
+                    text: `Values: ${Object.keys(record.values).map(id => `${id} = ${format(record.values[id])}`).join(', ') || 'none'}`
+                }),
+                record.legacy ? Dom.create('ul', null, [leafItem(record.legacy)]) : null,
+                Dom.create('ul', null, record.rules.map(rule => Dom.create('li', { className: `debug-rule debug-${rule.status.replace(/\s+/g, '-')}` }, [
+                    Dom.create('strong', { text: `${rule.action} [${rule.status}]` }),
+                    ` priority ${rule.priority}`,
+                    rule.id ? ` (${rule.id})` : null,
+                    rule.description ? Dom.create('div', { text: rule.description }) : null,
+                    rule.category || rule.tags.length > 0
+                        ? Dom.create('div', {
+                            className: 'text-muted',
+                            text: [rule.category, ...rule.tags.map(tag => `#${tag}`)].filter(Boolean).join(' ')
+                        })
+                        : null,
+                    rule.leaves.length > 0 ? Dom.create('ul', null, rule.leaves.map(leafItem)) : null
+                ])))
+            ]);
+        },
+        
+        describeDebugState: function(state) {
+            const parts = [state.visible ? 'visible' : 'hidden'];
+            if (state.required !== null) parts.push(state.required ? 'required' : 'optional');
+            if (state.disabled !== null) parts.push(state.disabled ? 'disabled' : 'enabled');
+            if (state.readOnly !== null) parts.push(state.readOnly ? 'read-only' : 'editable');
+            if (state.value) parts.push(`${state.value} value`);
+            return parts.join(', ');
+        },
+        
+        // Evaluate conditional expression (legacy data-condition attributes)
+        evaluateCondition: function(actualValue, condition, expectedValue) {
+            const operator = LEGACY_CONDITION_OPERATORS[condition] || this.resolveConditionOperator(condition);
+            if (!operator) return true;
+            
+            // Attribute values are always strings; ordering checks stay numeric
+            const isOrdering = /^(Greater|Less)Than/.test(operator);
+            const expected = isOrdering && this.isValidNumber(expectedValue)
+                ? parseFloat(expectedValue)
+                : expectedValue;
+            
+            try {
+                return this.evaluateOperator(actualValue, operator, expected);
+            } catch (error) {
+                return false;
+            }
+        },
+        
+        // Evaluate a V4 Condition tree (as serialized by the server) against live
+        // form values, or against a { fieldId: value } map when one is supplied.
+        // Mirrors ConditionEvaluator.cs: invalid nodes and failed comparisons are false.
+        // Evaluated leaves are pushed onto trace when one is given.
+        evaluateConditionTree: function(condition, values, trace) {
+            if (!condition) return false;
+            
+            try {
+                const field = this.getSchemaValue(condition, 'Field');
+                const operator = this.resolveConditionOperator(this.getSchemaValue(condition, 'Operator'));
+                
+                // Simple condition (leaf node)
+                if (field && String(field).trim() !== '' && operator) {
+                    const fieldValue = this.resolveConditionFieldValue(field, values);
+                    const expectedValue = this.getSchemaValue(condition, 'Value');
+                    if (!trace) {
+                        return this.evaluateOperator(fieldValue, operator, expectedValue);
+                    }
+                    
+                    const leaf = { field: String(field), operator: operator, expected: expectedValue, actual: fieldValue, result: false };
+                    trace.push(leaf);
+                    try {
+                        leaf.result = this.evaluateOperator(fieldValue, operator, expectedValue);
+                    } catch (error) {
+                        leaf.error = error.message;
+                        throw error;
+                    }
+                    return leaf.result;
                 }
                 
-                // Show error message
-                const errorDiv = document.createElement('div');
-                errorDiv.className = 'invalid-feedback d-block';
-                errorDiv.textContent = errors[0];
-                fieldContainer.appendChild(errorDiv);
+                // Complex condition (branch node)
+                const logicalOp = this.resolveLogicalOperator(this.getSchemaValue(condition, 'LogicalOp'));
+                const conditions = this.getSchemaValue(condition, 'Conditions');
                 
-                // Highlight field container if configured
-                if (this.config.validation.highlightErrors) {
-                    fieldContainer.classList.add('has-error');
+                if (logicalOp && Array.isArray(conditions) && conditions.length > 0) {
+                    switch (logicalOp) {
+                        case 'And':
+                            return conditions.every(c => this.evaluateConditionTree(c, values, trace));
+                        case 'Or':
+                            return conditions.some(c => this.evaluateConditionTree(c, values, trace));
+                        case 'Not':
+                            return !this.evaluateConditionTree(conditions[0], values, trace);
+                    }
                 }
+                
+                console.warn('Invalid condition: neither simple nor complex', condition);
+                return false;
+            } catch (error) {
+                console.warn('Error evaluating condition:', error.message);
+                return false;
             }
         },
         
-        // Clear field validation
-        clearFieldValidation: function(fieldContainer) {
-            const field = fieldContainer.querySelector('input, select, textarea');
-            if (field) {
-                field.classList.remove('is-invalid');
+        // Apply a single ConditionOperator to a field value
+        evaluateOperator: function(fieldValue, operator, expectedValue) {
+            const actual = this.coerceConditionValue(fieldValue, expectedValue);
+            
+            switch (operator) {
+                case 'Equals':
+                    return this.conditionValuesEqual(actual, expectedValue);
+                case 'NotEquals':
+                    return !this.conditionValuesEqual(actual, expectedValue);
+                case 'GreaterThan':
+                    return this.compareConditionValues(actual, expectedValue) > 0;
+                case 'GreaterThanOrEqual':
+                    return this.compareConditionValues(actual, expectedValue) >= 0;
+                case 'LessThan':
+                    return this.compareConditionValues(actual, expectedValue) < 0;
+                case 'LessThanOrEqual':
+                    return this.compareConditionValues(actual, expectedValue) <= 0;
+                case 'In':
+                    return this.isConditionValueIn(actual, expectedValue);
+                case 'NotIn':
+                    return !this.isConditionValueIn(actual, expectedValue);
+                case 'Contains':
+                    return this.conditionValueContains(actual, expectedValue);
+                case 'NotContains':
+                    return !this.conditionValueContains(actual, expectedValue);
+                case 'StartsWith':
+                    return typeof actual === 'string' && typeof expectedValue === 'string' &&
+                        actual.toUpperCase().startsWith(expectedValue.toUpperCase());
+                case 'EndsWith':
+                    return typeof actual === 'string' && typeof expectedValue === 'string' &&
+                        actual.toUpperCase().endsWith(expectedValue.toUpperCase());
+                case 'IsEmpty':
+                    return this.isConditionValueEmpty(actual);
+                case 'IsNotEmpty':
+                    return !this.isConditionValueEmpty(actual);
+                case 'IsNull':
+                    return actual === null || actual === undefined;
+                case 'IsNotNull':
+                    return actual !== null && actual !== undefined;
+                default:
+                    throw new Error(`Operator '${operator}' is not supported`);
             }
+        },
+        
+        // Form inputs always yield strings; type them like the server's model
+        // binder would when the expected value is a number or boolean
+        coerceConditionValue: function(fieldValue, expectedValue) {
+            if (typeof fieldValue !== 'string') return fieldValue;
             
-            const errorDiv = fieldContainer.querySelector('.invalid-feedback');
-            if (errorDiv) {
-                errorDiv.remove();
+            const sample = Array.isArray(expectedValue) ? expectedValue[0] : expectedValue;
+            if (typeof sample === 'number' && this.isValidNumber(fieldValue)) {
+                return parseFloat(fieldValue);
+            }
+            if (typeof sample === 'boolean' && /^(true|false)$/i.test(fieldValue)) {
+                return fieldValue.toLowerCase() === 'true';
+            }
+            return fieldValue;
+        },
+        
+        conditionValuesEqual: function(fieldValue, expectedValue) {
+            const fieldIsNull = fieldValue === null || fieldValue === undefined;
+            const expectedIsNull = expectedValue === null || expectedValue === undefined;
+            if (fieldIsNull || expectedIsNull) return fieldIsNull && expectedIsNull;
+            
+            if (typeof fieldValue === 'string' && typeof expectedValue === 'string') {
+                return fieldValue.toUpperCase() === expectedValue.toUpperCase();
             }
             
-            fieldContainer.classList.remove('has-error');
+            return fieldValue === expectedValue;
         },
         
-        // Show validation summary
-        showValidationSummary: function() {
-            if (!this.config.validation.showErrorSummary) return;
+        compareConditionValues: function(fieldValue, expectedValue) {
+            if (fieldValue === null || fieldValue === undefined || expectedValue === null || expectedValue === undefined) {
+                throw new Error('Cannot compare null values');
+            }
             
-            const form = this.getForm();
-            const invalidFields = form.querySelectorAll('.is-invalid');
+            if (typeof fieldValue === 'number' && typeof expectedValue === 'number') {
+                return fieldValue === expectedValue ? 0 : (fieldValue < expectedValue ? -1 : 1);
+            }
             
-            if (invalidFields.length === 0) return;
+            if (typeof fieldValue === 'string' && typeof expectedValue === 'string') {
+                const a = fieldValue.toUpperCase();
+                const b = expectedValue.toUpperCase();
+                return a === b ? 0 : (a < b ? -1 : 1);
+            }
             
-            // Remove existing summary
-            const existingSummary = form.querySelector('.validation-summary-dynamic');
-            if (existingSummary) {
-                existingSummary.remove();
+            throw new Error(`Cannot compare types ${typeof fieldValue} and ${typeof expectedValue}`);
+        },
+        
+        isConditionValueIn: function(fieldValue, expectedValue) {
+            if (fieldValue === null || fieldValue === undefined) return false;
+            if (!Array.isArray(expectedValue)) return false;
+            
+            return expectedValue.some(item => this.conditionValuesEqual(fieldValue, item));
+        },
+        
+        conditionValueContains: function(fieldValue, expectedValue) {
+            if (fieldValue === null || fieldValue === undefined || expectedValue === null || expectedValue === undefined) {
+                return false;
             }
             
-            // Create new summary
-            const summary = document.createElement('div');
-            summary.className = 'alert alert-danger validation-summary-dynamic';
-            summary.innerHTML = `
-                <h5>${this.config.language === 'FR' ? 'Erreurs de validation :' : 'Validation errors:'}</h5>
-                <ul class="mb-0">
-                    ${Array.from(invalidFields).map(field => {
-                        const container = field.closest('[data-field-id]');
-                        const fieldName = container?.querySelector('label')?.textContent || 'Field';
-                        const errorMsg = container?.querySelector('.invalid-feedback')?.textContent || 'Invalid value';
-                        return `<li>${fieldName}: ${errorMsg}</li>`;
-                    }).join('')}
-                </ul>
-            `;
-            
-            // Insert at top of form
-            form.insertBefore(summary, form.firstChild);
+            if (typeof fieldValue === 'string' && typeof expectedValue === 'string') {
+                return fieldValue.toUpperCase().includes(expectedValue.toUpperCase());
+            }
             
-            // Scroll to summary
-            summary.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            if (Array.isArray(fieldValue)) {
+                return fieldValue.some(item => this.conditionValuesEqual(item, expectedValue));
+            }
+            
+            return false;
         },
         
-        // Auto-save functionality
-        setupAutoSave: function() {
-            if (!this.config.autoSave.url) {
-                console.warn('Auto-save enabled but no URL configured');
-                return;
+        isConditionValueEmpty: function(fieldValue) {
+            if (fieldValue === null || fieldValue === undefined) return true;
+            if (typeof fieldValue === 'string') return fieldValue.trim() === '';
+            if (Array.isArray(fieldValue)) return fieldValue.length === 0;
+            return false;
+        },
+        
+        resolveConditionOperator: function(operator) {
+            if (typeof operator === 'number') return CONDITION_OPERATORS[operator] || null;
+            if (typeof operator !== 'string') return null;
+            return CONDITION_OPERATORS.find(op => op.toLowerCase() === operator.toLowerCase()) || null;
+        },
+        
+        resolveLogicalOperator: function(logicalOp) {
+            if (typeof logicalOp === 'number') return LOGICAL_OPERATORS[logicalOp] || null;
+            if (typeof logicalOp !== 'string') return null;
+            return LOGICAL_OPERATORS.find(op => op.toLowerCase() === logicalOp.toLowerCase()) || null;
+        },
+        
+        // Split "ModuleKey.FieldId" references, same rules as ConditionEvaluator.ParseFieldReference
+        parseFieldReference: function(fieldReference) {
+            const dotIndex = fieldReference.indexOf('.');
+            if (dotIndex > 0 && dotIndex < fieldReference.length - 1) {
+                return {
+                    moduleKey: fieldReference.substring(0, dotIndex),
+                    fieldId: fieldReference.substring(dotIndex + 1)
+                };
             }
+            return { moduleKey: null, fieldId: fieldReference };
+        },
+        
+        // Collect every field reference used in a condition tree
+        getConditionFieldReferences: function(condition) {
+            if (!condition) return [];
             
-            setInterval(() => {
-                this.autoSave();
-            }, this.config.autoSave.interval);
+            const references = [];
+            const field = this.getSchemaValue(condition, 'Field');
+            if (field) references.push(String(field));
+            
+            (this.getSchemaValue(condition, 'Conditions') || []).forEach(child => {
+                references.push(...this.getConditionFieldReferences(child));
+            });
+            
+            return references;
         },
         
-        // Perform auto-save
-        autoSave: function() {
-            const form = this.getForm();
-            if (!form) return;
+        resolveConditionFieldValue: function(fieldReference, values) {
+            const { moduleKey, fieldId } = this.parseFieldReference(String(fieldReference));
             
-            const formData = new FormData(form);
+            if (values) {
+                const moduleValues = moduleKey ? values[moduleKey] : values;
+                return moduleValues && Object.prototype.hasOwnProperty.call(moduleValues, fieldId)
+                    ? moduleValues[fieldId]
+                    : null;
+            }
             
-            return fetch(this.config.autoSave.url, {
-                method: 'POST',
-                body: formData,
+            // Only the current page is live; other modules come from the workflow snapshot
+            if (moduleKey && moduleKey !== this.config.moduleKey) return this.getModuleValue(moduleKey, fieldId);
+            return this.getFieldValue(fieldId);
+        },
+        
+        // Workflow snapshot: answers from earlier modules, frozen so rules and formulas can only read them
+        initializeWorkflowData: function() {
+            const options = this.config.workflow;
+            const attribute = this.getForm()?.getAttribute('data-workflow-data');
+            
+            if (options.data) {
+                this.setWorkflowData(options.data, true);
+            } else if (attribute) {
+                try {
+                    this.setWorkflowData(JSON.parse(attribute), true);
+                } catch (error) {
+                    console.error('Invalid data-workflow-data:', error.message);
+                }
+            }
+            
+            if (options.url) {
+                this.loadWorkflowData(options.url);
+            }
+        },
+        
+        loadWorkflowData: function(url) {
+            return fetch(url, {
                 headers: {
+                    'Accept': 'application/json',
                     'X-Requested-With': 'XMLHttpRequest'
                 }
             })
-            .then(response => response.json())
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
             .then(data => {
-                if (data.success) {
-                    this.showAutoSaveStatus('saved');
-                } else {
-                    this.showAutoSaveStatus('error');
-                }
+                this.setWorkflowData(data);
+                return this.workflowData;
             })
             .catch(error => {
-                console.error('Auto-save failed:', error);
-                this.showAutoSaveStatus('error');
+                console.error('Loading workflow data failed:', error.message || error);
+                return this.workflowData;
             });
         },
         
-        // Show auto-save status
-        showAutoSaveStatus: function(status) {
-            let message, className;
+        // Accepts WorkflowFormData or its Modules map. Rules and formulas are re-run unless the
+        // components have not been initialized yet.
+        setWorkflowData: function(data, beforeInitialize) {
+            const modules = this.getSchemaValue(data, 'Modules') || data || {};
+            const freeze = value => {
+                if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+                    Object.values(value).forEach(freeze);
+                    Object.freeze(value);
+                }
+                return value;
+            };
             
-            switch (status) {
-                case 'saved':
-                    message = this.config.language === 'FR' ? 'Sauvegard automatiquement' : 'Auto-saved';
-                    className = 'alert-success';
-                    break;
-                case 'error':
-                    message = this.config.language === 'FR' ? 'Erreur de sauvegarde' : 'Save error';
-                    className = 'alert-danger';
-                    break;
-                default:
-                    return;
+            // The current module is live on the page, never read from the snapshot
+            const snapshot = {};
+            Object.keys(modules)
+                .filter(moduleKey => moduleKey !== this.config.moduleKey)
+                .forEach(moduleKey => {
+                    snapshot[moduleKey] = JSON.parse(JSON.stringify(modules[moduleKey] || {}));
+                });
+            this.workflowData = freeze(snapshot);
+            
+            if (!beforeInitialize) {
+                this.initializeConditionalFields();
+                this.initializeComputedFields();
+            }
+        },
+        
+        getWorkflowData: function() {
+            return this.workflowData || {};
+        },
+        
+        getModuleValue: function(moduleKey, fieldId) {
+            const moduleValues = this.workflowData?.[moduleKey];
+            return moduleValues && Object.prototype.hasOwnProperty.call(moduleValues, fieldId)
+                ? moduleValues[fieldId]
+                : null;
+        },
+        
+        // Next module by FormWorkflowSchema.WorkflowRules (skipStep, goToStep, completeWorkflow), evaluated
+        // on the snapshot plus this page's live values. Returns { moduleKey, stepNumber, skipped } or null
+        // when the workflow is complete.
+        getNextModule: function() {
+            const options = this.config.workflow;
+            const moduleKeys = (options.moduleKeys || []).map(String);
+            const current = moduleKeys.indexOf(String(this.config.moduleKey)) + 1;
+            if (current === 0) {
+                console.warn(`Module ${this.config.moduleKey} is not in workflow.moduleKeys`);
+                return null;
             }
             
-            // Show temporary status message
-            const statusEl = document.createElement('div');
-            statusEl.className = `alert ${className} auto-save-status`;
-            statusEl.textContent = message;
-            statusEl.style.cssText = 'position: fixed; top: 20px; right: 20px; z-index: 9999; min-width: 200px;';
+            // Unqualified references mean the current module, as in WorkflowFormData.CurrentModuleKey
+            const liveValues = this.captureFieldValues();
+            const values = Object.assign({}, this.workflowData, liveValues, { [moduleKeys[current - 1]]: liveValues });
+            const wizard = {
+                rules: options.rules || [],
+                getValues: () => values,
+                current: current,
+                steps: moduleKeys.map((key, index) => ({ number: index + 1, key: key }))
+            };
             
-            document.body.appendChild(statusEl);
+            const next = this.Wizard.resolveNextStep(wizard);
+            if (next === null) return null;
             
-            setTimeout(() => {
-                statusEl.remove();
-            }, 3000);
+            return {
+                moduleKey: moduleKeys[next - 1],
+                stepNumber: next,
+                skipped: Array.from(wizard.skipped).map(number => moduleKeys[number - 1]).filter(Boolean)
+            };
         },
         
-        // Save draft functionality
-        saveDraft: function() {
+        // Post the client's next-module decision with the form; the server still has the final say
+        writeNextModuleField: function(form) {
+            const options = this.config.workflow;
+            if (!options.nextModuleField || !(options.rules || []).length || !(options.moduleKeys || []).length) return;
+            
+            let input = form.querySelector(`input[name="${CSS.escape(options.nextModuleField)}"]`);
+            if (!input) {
+                input = this.Dom.create('input', { type: 'hidden', name: options.nextModuleField });
+                form.appendChild(input);
+            }
+            
+            const next = this.getNextModule();
+            input.value = next ? next.moduleKey : '';
+        },
+        
+        // Read the live value of a field by id
+        getFieldValue: function(fieldId) {
             const form = this.getForm();
-            if (!form) return Promise.reject('No form found');
+            const container = form?.querySelector(`[data-field-id="${CSS.escape(fieldId)}"]`);
+            return container ? this.readFieldValue(container) : null;
+        },
+        
+        // Inputs that carry a field container's value (nested fields excluded)
+        getFieldInputs: function(container) {
+            const ownInputs = Array.from(container.querySelectorAll('input, select, textarea'))
+                .filter(input => input.closest('[data-field-id]') === container &&
+                    input.type !== 'file' &&
+                    !input.closest('[data-modal-records-data], [data-datagrid-data]'));
+            const visibleInputs = ownInputs.filter(input => input.type !== 'hidden');
             
-            const formData = new FormData(form);
-            formData.append('Action', 'SaveDraft');
+            return visibleInputs.length > 0
+                ? visibleInputs
+                : ownInputs.filter(input => !/\.FieldId$/.test(input.name));
+        },
+        
+        // Read a field container's value: string for inputs, boolean for a single
+        // checkbox, array for checkbox lists and multi-selects, null if unset
+        readFieldValue: function(container) {
+            // Data grids are worth their rows (array of column id -> value maps)
+            const grid = this.dataGrids?.[container.getAttribute('data-field-id')];
+            if (grid && container.contains(grid.element)) {
+                return grid.rows.map(row => Object.assign({}, row.values));
+            }
             
-            return fetch(this.config.autoSave.url || window.location.href, {
-                method: 'POST',
-                body: formData,
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
+            // Autocompletes hold their value apart from the text the user typed
+            const autoCompleteValue = container.querySelector('[data-autocomplete-value]');
+            if (autoCompleteValue && autoCompleteValue.closest('[data-field-id]') === container) {
+                return autoCompleteValue.value || null;
+            }
+            
+            const inputs = this.getFieldInputs(container);
+            if (inputs.length === 0) return null;
+            
+            const first = inputs[0];
+            if (first.type === 'checkbox') {
+                return inputs.length === 1
+                    ? first.checked
+                    : inputs.filter(input => input.checked).map(input => input.value);
+            }
+            if (first.type === 'radio') {
+                const checked = inputs.find(input => input.checked);
+                return checked ? checked.value : null;
+            }
+            if (first.tagName === 'SELECT' && first.multiple) {
+                return Array.from(first.selectedOptions).map(option => option.value);
+            }
+            return first.value;
+        },
+        
+        // Write a value produced by readFieldValue back into a field container
+        writeFieldValue: function(container, value) {
+            const inputs = this.getFieldInputs(container);
+            const values = Array.isArray(value) ? value.map(String) : null;
+            
+            inputs.forEach(input => {
+                if (input.type === 'checkbox' && inputs.length === 1 && !values) {
+                    input.checked = value === true || String(value).toLowerCase() === 'true';
+                } else if (input.type === 'checkbox' || input.type === 'radio') {
+                    input.checked = values ? values.includes(input.value) : String(value ?? '') === input.value;
+                } else if (input.tagName === 'SELECT' && input.multiple) {
+                    Array.from(input.options).forEach(option => {
+                        option.selected = (values || [String(value ?? '')]).includes(option.value);
+                    });
+                } else {
+                    input.value = value ?? '';
                 }
-            })
-            .then(response => response.json());
+            });
         },
         
-        // Show loading state
-        showFormLoading: function(loading) {
-            const form = this.getForm();
-            if (!form) return;
+        // Read a schema property serialized as either PascalCase or camelCase
+        getSchemaValue: function(obj, name) {
+            if (!obj) return undefined;
+            if (obj[name] !== undefined) return obj[name];
+            return obj[name.charAt(0).toLowerCase() + name.slice(1)];
+        },
+        
+        // Toggle field visibility
+        toggleFieldVisibility: function(field, visible) {
+            const container = field.closest('[data-field-id]') || field;
+            const wasHidden = container.classList.contains('d-none');
+            const detail = { fieldId: container.getAttribute('data-field-id'), container: container };
             
-            const submitBtns = form.querySelectorAll('button[type="submit"]');
+            if (!visible && !wasHidden && !this.emit('beforeHide', detail, true)) {
+                return;
+            }
             
-            submitBtns.forEach(btn => {
-                if (loading) {
-                    btn.disabled = true;
-                    btn.innerHTML = `<span class="spinner-border spinner-border-sm me-2" role="status"></span>${btn.textContent}`;
+            if (wasHidden !== !visible) {
+                // Announce the change once the DOM reflects it
+                setTimeout(() => this.emit(visible ? 'fieldShown' : 'fieldHidden', detail), 0);
+            }
+            
+            if (visible) {
+                container.style.display = '';
+                container.classList.remove('d-none');
+                
+                if (wasHidden) {
+                    this.restoreHiddenValues(container);
+                    this.setHiddenInputsDisabled(container, false);
+                }
+            } else {
+                container.style.display = 'none';
+                container.classList.add('d-none');
+                
+                if (!wasHidden) {
+                    this.clearFieldValidation(container);
+                    
+                    const policy = this.getHidePolicy(container);
+                    if (policy !== 'submit') {
+                        if (policy === 'preserve') {
+                            this.stashHiddenValues(container);
+                        }
+                        this.clearHiddenValues(container);
+                        this.setHiddenInputsDisabled(container, true);
+                    }
+                }
+            }
+        },
+        
+        // data-hide-policy overrides conditional.hidePolicy; unknown values fall back to the configured policy
+        getHidePolicy: function(container) {
+            const policies = ['clear', 'preserve', 'submit'];
+            const configured = String(this.config.conditional.hidePolicy || '').toLowerCase();
+            const fallback = policies.includes(configured) ? configured : 'preserve';
+            const policy = (container.getAttribute('data-hide-policy') || '').toLowerCase();
+            return policies.includes(policy) ? policy : fallback;
+        },
+        
+        getHideableInputs: function(container) {
+            return Array.from(container.querySelectorAll('input, select, textarea'))
+                .filter(input => !['button', 'submit', 'reset'].includes(input.type));
+        },
+        
+        // Keep each input's state so the field comes back as the user left it
+        stashHiddenValues: function(container) {
+            const stash = this.getHideableInputs(container)
+                .filter(input => input.type !== 'file')
+                .map(input => ({
+                    input: input,
+                    value: input.value,
+                    checked: input.checked,
+                    selected: input.tagName === 'SELECT' ? Array.from(input.options).map(option => option.selected) : null
+                }));
+            stash.value = this.readFieldValue(container);
+            
+            (this.hiddenValues || (this.hiddenValues = new Map())).set(container, stash);
+        },
+        
+        restoreHiddenValues: function(container) {
+            const stash = this.hiddenValues?.get(container);
+            if (!stash) return;
+            
+            stash.forEach(({ input, value, checked, selected }) => {
+                if (input.type === 'checkbox' || input.type === 'radio') {
+                    input.checked = checked;
+                } else if (selected) {
+                    Array.from(input.options).forEach((option, index) => {
+                        option.selected = !!selected[index];
+                    });
                 } else {
-                    btn.disabled = false;
-                    btn.innerHTML = btn.textContent.replace(/^.*?<\/span>/, '');
+                    input.value = value;
                 }
             });
+            this.hiddenValues.delete(container);
         },
         
-        // File upload functions
-        initializeFileUploads: function() {
-            const fileInputs = document.querySelectorAll('input[type="file"]');
-            fileInputs.forEach(input => {
-                this.setupFileUploadPreview(input);
+        // Only what the user edits is cleared: hidden inputs hold the FieldId, a checkbox's
+        // false and upload references, which nothing would put back
+        clearHiddenValues: function(container) {
+            this.getHideableInputs(container).forEach(input => {
+                if (input.type === 'hidden') return;
+                
+                if (input.type === 'checkbox' || input.type === 'radio') {
+                    input.checked = false;
+                } else {
+                    input.value = '';
+                }
+            });
+            
+            // An autocomplete's selection is kept in its own hidden inputs
+            Object.values(this.autoCompletes || {})
+                .filter(widget => container.contains(widget.input))
+                .forEach(widget => this.clearAutoCompleteSelection(widget));
+        },
+        
+        // Disabled inputs are neither validated nor posted. Inputs the server rendered
+        // disabled are left alone when the field is shown again.
+        setHiddenInputsDisabled: function(container, disabled) {
+            const ruleDisabled = container.getAttribute('data-conditional-disabled') === 'true';
+            
+            this.getHideableInputs(container).forEach(input => {
+                if (disabled && (!input.disabled || input.hasAttribute('data-rule-disabled'))) {
+                    input.disabled = true;
+                    input.setAttribute('data-hidden-disabled', 'true');
+                } else if (!disabled && input.hasAttribute('data-hidden-disabled')) {
+                    input.removeAttribute('data-hidden-disabled');
+                    input.disabled = input.hasAttribute('data-rule-disabled') && ruleDisabled;
+                }
             });
         },
         
-        validateFile: function(file, input) {
-            const maxSize = input.getAttribute('data-max-size') || 10485760; // 10MB default
-            const allowedTypes = input.getAttribute('data-allowed-types');
+        // Initialize form validation
+        initializeValidation: function() {
+            this.customValidations = {};
             
-            if (file.size > maxSize) {
-                alert(this.config.language === 'FR' 
-                    ? `Le fichier est trop volumineux. Taille maximale: ${this.formatFileSize(maxSize)}`
-                    : `File is too large. Maximum size: ${this.formatFileSize(maxSize)}`);
-                return false;
+            if (!this.config.validation.enabled) return;
+            
+            const form = this.getForm();
+            if (form) {
+                form.setAttribute('novalidate', '');
             }
+        },
+        
+        // Validate entire form
+        validateForm: function(form) {
+            let isValid = true;
+            const fields = form.querySelectorAll('input, select, textarea');
             
-            if (allowedTypes) {
-                const types = allowedTypes.split(',').map(t => t.trim().toLowerCase());
-                const fileType = file.type.toLowerCase();
-                const fileExt = '.' + file.name.split('.').pop().toLowerCase();
+            fields.forEach(field => {
+                // Detached inputs (e.g. modal record editors) are validated on their own
+                if (field.form !== form) return;
                 
-                if (!types.includes(fileType) && !types.includes(fileExt)) {
-                    alert(this.config.language === 'FR'
-                        ? `Type de fichier non autoris. Types autoriss: ${allowedTypes}`
-                        : `File type not allowed. Allowed types: ${allowedTypes}`);
-                    return false;
+                if (!this.validateField(field, true)) {
+                    isValid = false;
                 }
+            });
+            
+            if (!this.validateFieldSets()) {
+                isValid = false;
             }
             
-            return true;
+            return isValid;
         },
         
-        formatFileSize: function(bytes) {
-            if (bytes === 0) return '0 Bytes';
-            const k = 1024;
-            const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-            const i = Math.floor(Math.log(bytes) / Math.log(k));
-            return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        // Validate individual field. Custom validators are debounced unless immediate is set;
+        // while they are still checking, the field counts as valid but pending.
+        validateField: function(field, immediate) {
+            // Hidden inputs carry bookkeeping (FieldId, a checkbox's false, upload and record
+            // references), not what the user typed; their fields are checked through the visible inputs
+            if (field.type === 'hidden') return true;
+            
+            const fieldContainer = field.closest('[data-field-id]');
+            if (!fieldContainer) return true;
+            
+            // Hidden by conditional logic: nothing to check
+            if (field.disabled || fieldContainer.closest('.d-none')) return true;
+            
+            let isValid = true;
+            const errors = [];
+            const rules = this.getValidationConfig(field, fieldContainer);
+            
+            // Required validation (checkbox and radio lists are required as a group); rules may override it
+            const requiredOverride = fieldContainer.getAttribute('data-conditional-required');
+            const isRequired = requiredOverride !== null
+                ? requiredOverride === 'true'
+                : field.hasAttribute('required') || this.getSchemaValue(rules, 'IsRequired') === true;
+            const isMissing = field.type === 'checkbox' || field.type === 'radio'
+                ? this.isFieldSetValueEmpty(this.readFieldValue(fieldContainer))
+                : !this.hasValue(field);
+            if (isRequired && isMissing) {
+                errors.push(this.getRuleMessage(rules, 'RequiredMessage') || this.getValidationMessage('required', field));
+                isValid = false;
+            }
+            
+            // Type-specific validation
+            if (this.hasValue(field)) {
+                switch (field.type) {
+                    case 'email':
+                        if (!this.isValidEmail(field.value)) {
+                            errors.push(this.getValidationMessage('email', field));
+                            isValid = false;
+                        }
+                        break;
+                    case 'url':
+                        if (!this.isValidUrl(field.value)) {
+                            errors.push(this.getValidationMessage('url', field));
+                            isValid = false;
+                        }
+                        break;
+                    case 'number':
+                        if (!this.isValidNumber(field.value)) {
+                            errors.push(this.getValidationMessage('number', field));
+                            isValid = false;
+                        }
+                        break;
+                    case 'file':
+                        if (this.hasPendingUploads(field)) {
+                            errors.push(this.getValidationMessage('uploadPending', field));
+                            isValid = false;
+                        }
+                        break;
+                }
+                
+                // Free text in an autocomplete is not a value until an item is picked
+                const autoComplete = this.autoCompletes?.[field.id];
+                if (autoComplete && autoComplete.input === field && !autoComplete.valueInput.value) {
+                    errors.push(this.getValidationMessage('autocompleteSelection', field));
+                    isValid = false;
+                }
+                
+                // FieldValidationConfig rules apply to typed values, not to choices or files
+                if (rules && !['checkbox', 'radio', 'file'].includes(field.type) && !field.multiple) {
+                    const ruleErrors = this.checkValidationRules(field.value, rules);
+                    if (ruleErrors.length > 0) {
+                        errors.push(...ruleErrors);
+                        isValid = false;
+                    }
+                }
+            }
+            
+            // Date range pickers validate the range as a whole
+            const rangePicker = this.DateRangePicker.getInstanceFor(field);
+            if (rangePicker) {
+                const rangeErrors = this.DateRangePicker.validate(rangePicker);
+                if (rangeErrors.length > 0) {
+                    errors.push(...rangeErrors);
+                    isValid = false;
+                }
+            }
+            
+            // Length validation
+            const maxLength = field.getAttribute('maxlength');
+            if (maxLength && field.value.length > parseInt(maxLength)) {
+                errors.push(this.getValidationMessage('maxlength', field, maxLength));
+                isValid = false;
+            }
+            
+            // Registered validators (CustomRuleIds) only run once the built-in checks pass
+            if (isValid) {
+                const customErrors = this.runCustomValidators(field, fieldContainer, immediate);
+                if (customErrors && customErrors.length > 0) {
+                    errors.push(...customErrors);
+                    isValid = false;
+                }
+            } else {
+                this.cancelCustomValidation(fieldContainer);
+            }
+            
+            // Show/hide validation errors
+            this.showFieldValidation(fieldContainer, errors);
+            
+            this.emit('fieldValidated', {
+                fieldId: fieldContainer.getAttribute('data-field-id'),
+                isValid: isValid,
+                errors: errors
+            });
+            
+            return isValid;
         },
         
-        // Initialize other components (simplified)
-        initializeSpeciesAutoComplete: function() {
-            // Implementation for species autocomplete
+        // Re-check the fields whose rules depend on this one (data-validation-parent), once the
+        // user has seen their validation state
+        revalidateDependents: function(fieldId) {
+            this.getRoot().querySelectorAll(`[data-validation-parent="${CSS.escape(fieldId)}"]`).forEach(container => {
+                const input = this.getFieldInputs(container)[0];
+                if (input && container.querySelector('.is-invalid, .is-valid')) {
+                    this.validateField(input, true);
+                }
+            });
         },
         
-        initializeTableFields: function() {
-            // Implementation for table fields
-        }
-    };
+        // FieldValidationConfig rendered server-side as one data-validation JSON attribute on the
+        // field container (or the input), with the DateConfig rules nested under "DateConfig"
+        getValidationConfig: function(field, container) {
+            const attribute = field.getAttribute('data-validation') || container.getAttribute('data-validation');
+            if (!attribute) return null;
+            
+            try {
+                return JSON.parse(attribute);
+            } catch (error) {
+                console.error('Invalid data-validation:', error.message);
+                return null;
+            }
+        },
+        
+        // Custom message from the rules (e.g. RequiredMessageEn/Fr), in the form language
+        getRuleMessage: function(rules, name) {
+            return this.getSchemaValue(rules, name + (this.config.language === 'FR' ? 'Fr' : 'En')) || null;
+        },
+        
+        // Check a non-empty value against FieldValidationConfig rules; returns the error messages
+        checkValidationRules: function(value, rules) {
+            const rule = name => this.getSchemaValue(rules, name);
+            const isSet = name => rule(name) !== null && rule(name) !== undefined && rule(name) !== '';
+            const text = String(value ?? '');
+            const errors = [];
+            
+            if (isSet('MinLength') && text.length < Number(rule('MinLength'))) {
+                errors.push(this.getValidationMessage('minlength', null, rule('MinLength')));
+            }
+            if (isSet('MaxLength') && text.length > Number(rule('MaxLength'))) {
+                errors.push(this.getValidationMessage('maxlength', null, rule('MaxLength')));
+            }
+            
+            if (rule('Pattern')) {
+                let pattern = null;
+                try {
+                    pattern = new RegExp(rule('Pattern'));
+                } catch (error) {
+                    // .NET-only syntax; the server still checks it
+                    console.warn('Pattern not supported in the browser:', rule('Pattern'));
+                }
+                if (pattern && !pattern.test(text)) {
+                    errors.push(this.getRuleMessage(rules, 'PatternMessage') || this.getValidationMessage('pattern'));
+                }
+            }
+            
+            if ((isSet('MinValue') || isSet('MaxValue')) && this.isValidNumber(text)) {
+                const number = parseFloat(text);
+                if (isSet('MinValue') && number < Number(rule('MinValue'))) {
+                    errors.push(this.getValidationMessage('minValue', null, rule('MinValue')));
+                }
+                if (isSet('MaxValue') && number > Number(rule('MaxValue'))) {
+                    errors.push(this.getValidationMessage('maxValue', null, rule('MaxValue')));
+                }
+            }
+            
+            if (rule('DateConfig')) {
+                errors.push(...this.checkDateRules(text, rule('DateConfig')));
+            }
+            
+            return errors;
+        },
+        
+        // DateConfig: AllowFuture/AllowPast compare with today (with now for date-times),
+        // MinDate/MaxDate take ISO dates or "Now", "Now+30d", "Now-1y" (d, w, m, y)
+        checkDateRules: function(value, dateConfig) {
+            const date = this.Formula.toDate(value);
+            if (!date) return [];
+            
+            const withTime = value.includes('T');
+            const now = this.resolveRelativeDate('Now', withTime);
+            const minDate = this.resolveRelativeDate(this.getSchemaValue(dateConfig, 'MinDate'), withTime);
+            const maxDate = this.resolveRelativeDate(this.getSchemaValue(dateConfig, 'MaxDate'), withTime);
+            const errors = [];
+            
+            if (this.getSchemaValue(dateConfig, 'AllowFuture') === false && date > now) {
+                errors.push(this.getValidationMessage('futureDate'));
+            }
+            if (this.getSchemaValue(dateConfig, 'AllowPast') === false && date < now) {
+                errors.push(this.getValidationMessage('pastDate'));
+            }
+            if (minDate && date < minDate) {
+                errors.push(this.getValidationMessage('minDate', null, this.Formula.format(minDate)));
+            }
+            if (maxDate && date > maxDate) {
+                errors.push(this.getValidationMessage('maxDate', null, this.Formula.format(maxDate)));
+            }
+            
+            return errors;
+        },
+        
+        resolveRelativeDate: function(expression, withTime) {
+            if (!expression) return null;
+            
+            const match = /^\s*now\s*(?:([+-])\s*(\d+)\s*([dwmy])?)?\s*$/i.exec(expression);
+            if (!match) return this.Formula.toDate(expression);
+            
+            const date = new Date();
+            if (!withTime) date.setHours(0, 0, 0, 0);
+            if (match[1]) {
+                const amount = Number(match[2]) * (match[1] === '-' ? -1 : 1);
+                switch ((match[3] || 'd').toLowerCase()) {
+                    case 'w':
+                        date.setDate(date.getDate() + amount * 7);
+                        break;
+                    case 'm':
+                        date.setMonth(date.getMonth() + amount);
+                        break;
+                    case 'y':
+                        date.setFullYear(date.getFullYear() + amount);
+                        break;
+                    default:
+                        date.setDate(date.getDate() + amount);
+                        break;
+                }
+            }
+            return date;
+        },
+        
+        // Custom validator registry. A validator is fn(value, context) returning (or resolving to)
+        // true/undefined when valid, false, an error message, or { valid, message }.
+        // context: { field, fieldId, container, form, language, signal, getValue(fieldId) }.
+        // Fields opt in with data-validators="ruleId1,ruleId2" (FieldValidationConfig.CustomRuleIds).
+        validators: {
+            registry: {},
+            
+            // options: { debounce: ms, message: 'text' | { EN, FR } }
+            register: function(id, fn, options) {
+                if (typeof fn !== 'function') {
+                    throw new Error(`Validator ${id} must be a function`);
+                }
+                this.registry[id] = { id: id, validate: fn, options: options || {} };
+            },
+            
+            unregister: function(id) {
+                delete this.registry[id];
+            },
+            
+            get: function(id) {
+                return this.registry[id] || null;
+            }
+        },
+        
+        getCustomRuleIds: function(field, container) {
+            const attribute = field.getAttribute('data-validators') || container.getAttribute('data-validators');
+            if (!attribute) {
+                const ruleIds = this.getSchemaValue(this.getValidationConfig(field, container), 'CustomRuleIds');
+                return Array.isArray(ruleIds) ? ruleIds.map(String) : [];
+            }
+            
+            if (attribute.trim().startsWith('[')) {
+                try {
+                    return JSON.parse(attribute).map(String);
+                } catch (error) {
+                    console.error('Invalid data-validators:', error.message);
+                    return [];
+                }
+            }
+            return attribute.split(',').map(id => id.trim()).filter(Boolean);
+        },
+        
+        // Returns the custom errors for the current value, or null while they are being checked.
+        // State per field: the value last checked (key), its errors once known, and a token that
+        // makes answers for older values stale.
+        runCustomValidators: function(field, container, immediate) {
+            const ruleIds = this.getCustomRuleIds(field, container);
+            if (ruleIds.length === 0) return [];
+            
+            const fieldId = container.getAttribute('data-field-id');
+            const key = JSON.stringify(this.readFieldValue(container));
+            const state = this.customValidations[fieldId] || (this.customValidations[fieldId] = { token: 0 });
+            
+            if (state.key === key) {
+                if (state.errors) return state.errors;
+                if (!(immediate && state.timer)) return null;
+            } else {
+                this.cancelCustomValidation(container);
+                state.key = key;
+                state.errors = null;
+                state.done = new Promise(resolve => {
+                    state.resolveDone = resolve;
+                });
+            }
+            
+            clearTimeout(state.timer);
+            state.timer = null;
+            
+            const delay = immediate ? 0 : ruleIds.reduce((max, id) => {
+                const debounce = this.validators.get(id)?.options.debounce;
+                return Math.max(max, debounce ?? this.config.validation.customDebounce);
+            }, 0);
+            
+            if (delay > 0) {
+                this.setFieldPending(container, true);
+                state.timer = setTimeout(() => {
+                    state.timer = null;
+                    const errors = this.startCustomValidation(state, ruleIds, field, container);
+                    if (errors) {
+                        this.showFieldValidation(container, errors);
+                    }
+                }, delay);
+                return null;
+            }
+            
+            return this.startCustomValidation(state, ruleIds, field, container);
+        },
+        
+        startCustomValidation: function(state, ruleIds, field, container) {
+            const token = ++state.token;
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            state.controller = controller;
+            
+            const context = {
+                field: field,
+                fieldId: container.getAttribute('data-field-id'),
+                container: container,
+                form: this.getForm(),
+                language: this.config.language,
+                signal: controller ? controller.signal : undefined,
+                getValue: fieldId => this.getFieldValue(fieldId)
+            };
+            const value = this.readFieldValue(container);
+            
+            const outcomes = ruleIds.map(ruleId => {
+                const validator = this.validators.get(ruleId);
+                if (!validator) {
+                    console.warn(`Validation rule '${ruleId}' is not registered`);
+                    return { validator: null, result: true };
+                }
+                
+                try {
+                    return { validator: validator, result: validator.validate.call(this, value, context) };
+                } catch (error) {
+                    console.error(`Validator ${ruleId} failed:`, error);
+                    return { validator: validator, result: true };
+                }
+            });
+            
+            const finish = results => {
+                state.errors = results
+                    .map((result, i) => this.getCustomValidationError(outcomes[i].validator, result))
+                    .filter(Boolean);
+                state.controller = null;
+                state.resolveDone();
+                this.setFieldPending(container, false);
+                return state.errors;
+            };
+            
+            if (!outcomes.some(outcome => outcome.result && typeof outcome.result.then === 'function')) {
+                return finish(outcomes.map(outcome => outcome.result));
+            }
+            
+            // A check that errors out (network down...) does not block the user; the server re-validates
+            this.setFieldPending(container, true);
+            Promise.all(outcomes.map(outcome => Promise.resolve(outcome.result).catch(error => {
+                if (error?.name !== 'AbortError') {
+                    console.error('Async validator failed:', error);
+                }
+                return true;
+            }))).then(results => {
+                if (token !== state.token) return; // a newer value is being checked
+                this.showFieldValidation(container, finish(results));
+            });
+            
+            return null;
+        },
+        
+        getCustomValidationError: function(validator, result) {
+            if (result === true || result === undefined || result === null) return null;
+            if (typeof result === 'string') return result;
+            if (typeof result === 'object') {
+                if (result.valid !== false) return null;
+                if (result.message) return result.message;
+            }
+            
+            const message = validator?.options.message;
+            if (typeof message === 'string') return message;
+            if (message) return message[this.config.language] || message.EN;
+            return this.getValidationMessage('custom');
+        },
+        
+        // Stop any check still running for a field (its answer would be stale)
+        cancelCustomValidation: function(container) {
+            const state = this.customValidations?.[container.getAttribute('data-field-id')];
+            if (!state) return;
+            
+            clearTimeout(state.timer);
+            state.timer = null;
+            state.token++;
+            state.controller?.abort();
+            state.controller = null;
+            state.key = undefined;
+            if (state.resolveDone) state.resolveDone();
+            this.setFieldPending(container, false);
+        },
+        
+        setFieldPending: function(container, pending) {
+            container.classList.toggle('validation-pending', pending);
+            if (pending) {
+                container.setAttribute('aria-busy', 'true');
+            } else {
+                container.removeAttribute('aria-busy');
+            }
+            
+            let status = container.querySelector('.validation-pending-message');
+            if (pending && !status) {
+                status = document.createElement('div');
+                status.className = 'form-text validation-pending-message';
+                status.setAttribute('role', 'status');
+                status.textContent = this.getValidationMessage('pending');
+                container.appendChild(status);
+            } else if (!pending && status) {
+                status.remove();
+            }
+        },
+        
+        hasPendingValidations: function() {
+            return Object.values(this.customValidations || {})
+                .some(state => state.key !== undefined && !state.errors);
+        },
+        
+        // Resolves once no custom validator is checking anymore
+        whenValidationsSettle: function() {
+            const pending = Object.values(this.customValidations || {})
+                .filter(state => state.key !== undefined && !state.errors);
+            if (pending.length === 0) return Promise.resolve();
+            
+            return Promise.all(pending.map(state => state.done)).then(() => this.whenValidationsSettle());
+        },
+        
+        // Check if field has value
+        hasValue: function(field) {
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                return field.checked;
+            }
+            if (field.type === 'file') {
+                return field.files.length > 0 || this.getUploadedFileValues(field).length > 0;
+            }
+            return field.value && field.value.trim() !== '';
+        },
+        
+        // Validation helper functions
+        isValidEmail: function(email) {
+            const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            return re.test(email);
+        },
+        
+        isValidUrl: function(url) {
+            try {
+                new URL(url);
+                return true;
+            } catch {
+                return false;
+            }
+        },
+        
+        isValidNumber: function(value) {
+            return !isNaN(value) && !isNaN(parseFloat(value));
+        },
+        
+        // Get validation message
+        getValidationMessage: function(type, field, param) {
+            const messages = {
+                EN: {
+                    required: 'This field is required.',
+                    email: 'Please enter a valid email address.',
+                    url: 'Please enter a valid URL.',
+                    number: 'Please enter a valid number.',
+                    maxlength: `Maximum ${param} characters allowed.`,
+                    minlength: `Minimum ${param} characters required.`,
+                    pattern: 'Please enter a value in the expected format.',
+                    minValue: `Please enter a value of at least ${param}.`,
+                    maxValue: `Please enter a value of at most ${param}.`,
+                    futureDate: 'Future dates are not allowed.',
+                    pastDate: 'Past dates are not allowed.',
+                    minDate: `Please enter a date on or after ${param}.`,
+                    maxDate: `Please enter a date on or before ${param}.`,
+                    uploadPending: 'Please wait until the file upload has finished.',
+                    autocompleteSelection: 'Please select an item from the list.',
+                    custom: 'Please enter a valid value.',
+                    pending: 'Checking...',
+                    fieldSet: 'Please check these related fields.',
+                    atLeastOne: 'Please fill in at least one of these fields.',
+                    allOrNone: 'Please fill in all of these fields, or leave them all empty.',
+                    mutuallyExclusive: 'Please fill in only one of these fields.',
+                    sumEquals: 'The amounts must add up to the total.',
+                    dateOrder: 'The dates must be in order (each date after the previous one).',
+                    submitFailed: 'The form could not be submitted. Please try again.',
+                    unsavedChanges: 'You have unsaved changes. Leave this page anyway?'
+                },
+                FR: {
+                    required: 'Ce champ est obligatoire.',
+                    email: 'Veuillez entrer une adresse e-mail valide.',
+                    url: 'Veuillez entrer une URL valide.',
+                    number: 'Veuillez entrer un nombre valide.',
+                    maxlength: `Maximum ${param} caractres autoriss.`,
+                    minlength: `Minimum ${param} caractres requis.`,
+                    pattern: 'Veuillez entrer une valeur dans le format attendu.',
+                    minValue: `Veuillez entrer une valeur d'au moins ${param}.`,
+                    maxValue: `Veuillez entrer une valeur d'au plus ${param}.`,
+                    futureDate: 'Les dates futures ne sont pas permises.',
+                    pastDate: 'Les dates passes ne sont pas permises.',
+                    minDate: `Veuillez entrer une date  partir du ${param}.`,
+                    maxDate: `Veuillez entrer une date au plus tard le ${param}.`,
+                    uploadPending: 'Veuillez attendre la fin du tlversement du fichier.',
+                    autocompleteSelection: 'Veuillez slectionner un lment de la liste.',
+                    custom: 'Veuillez entrer une valeur valide.',
+                    pending: 'Vrification...',
+                    fieldSet: 'Veuillez vrifier ces champs lis.',
+                    atLeastOne: 'Veuillez remplir au moins un de ces champs.',
+                    allOrNone: 'Veuillez remplir tous ces champs, ou les laisser tous vides.',
+                    mutuallyExclusive: 'Veuillez remplir un seul de ces champs.',
+                    sumEquals: 'Les montants doivent correspondre au total.',
+                    dateOrder: 'Les dates doivent tre en ordre (chaque date aprs la prcdente).',
+                    submitFailed: "Le formulaire n'a pas pu tre soumis. Veuillez ressayer.",
+                    unsavedChanges: 'Vous avez des modifications non enregistres. Quitter cette page quand mme?'
+                }
+            };
+            
+            return messages[this.config.language][type] || messages.EN[type];
+        },
+        
+        // Show field validation errors
+        showFieldValidation: function(fieldContainer, errors) {
+            const previousError = fieldContainer.querySelector('.invalid-feedback')?.textContent;
+            this.clearFieldValidation(fieldContainer);
+            
+            if (errors.length > 0) {
+                // Add error class to field
+                const field = fieldContainer.querySelector('input, select, textarea');
+                if (field) {
+                    field.classList.add('is-invalid');
+                }
+                
+                // Show error message
+                const errorDiv = document.createElement('div');
+                errorDiv.className = 'invalid-feedback d-block';
+                errorDiv.id = this.getElementId(`${fieldContainer.getAttribute('data-field-id')}_error`);
+                errorDiv.textContent = errors[0];
+                fieldContainer.appendChild(errorDiv);
+                
+                // Every input of the field (each box of a list) points at the message
+                this.getAccessibleInputs(fieldContainer).forEach(input => {
+                    input.setAttribute('aria-invalid', 'true');
+                    this.toggleDescribedBy(input, errorDiv.id, true);
+                });
+                
+                if (errors[0] !== previousError) {
+                    this.announce(`${this.getFieldLabelText(fieldContainer)}: ${errors[0]}`);
+                }
+                
+                // Highlight field container if configured
+                if (this.config.validation.highlightErrors) {
+                    fieldContainer.classList.add('has-error');
+                }
+            }
+        },
+        
+        // Clear field validation
+        clearFieldValidation: function(fieldContainer) {
+            const field = fieldContainer.querySelector('input, select, textarea');
+            if (field) {
+                field.classList.remove('is-invalid');
+            }
+            
+            const errorDiv = fieldContainer.querySelector('.invalid-feedback');
+            if (errorDiv) {
+                this.getAccessibleInputs(fieldContainer).forEach(input => {
+                    input.removeAttribute('aria-invalid');
+                    this.toggleDescribedBy(input, errorDiv.id, false);
+                });
+                errorDiv.remove();
+            }
+            
+            fieldContainer.classList.remove('has-error');
+        },
+        
+        // V4 AccessibilityConfig rendered as data-accessibility JSON on the field container:
+        // { AriaLabelEn, AriaLabelFr, AriaDescribedBy, AriaRole, AriaLive }
+        initializeAccessibility: function() {
+            const form = this.getForm();
+            if (!form) return;
+            
+            form.querySelectorAll('[data-field-id][data-accessibility]').forEach(container => {
+                try {
+                    this.applyAccessibility(container, JSON.parse(container.getAttribute('data-accessibility')));
+                } catch (error) {
+                    console.error('Invalid data-accessibility:', error.message);
+                }
+            });
+        },
+        
+        // Single inputs take the attributes themselves; checkbox and radio lists keep their
+        // per-option labels and the container becomes the labelled group
+        applyAccessibility: function(container, config) {
+            const inputs = this.getAccessibleInputs(container);
+            const target = inputs.length === 1 ? inputs[0] : container;
+            
+            const ariaLabel = this.config.language === 'FR'
+                ? this.getSchemaValue(config, 'AriaLabelFr') || this.getSchemaValue(config, 'AriaLabelEn')
+                : this.getSchemaValue(config, 'AriaLabelEn');
+            if (ariaLabel) {
+                target.setAttribute('aria-label', ariaLabel);
+            }
+            
+            const role = this.getSchemaValue(config, 'AriaRole');
+            if (role) {
+                target.setAttribute('role', role);
+            } else if (target === container && inputs.length > 1) {
+                container.setAttribute('role', inputs[0].type === 'radio' ? 'radiogroup' : 'group');
+            }
+            
+            const describedBy = this.getSchemaValue(config, 'AriaDescribedBy');
+            if (describedBy) {
+                inputs.forEach(input => this.toggleDescribedBy(input, describedBy, true));
+            }
+            
+            if (this.getSchemaValue(config, 'AriaLive')) {
+                container.setAttribute('aria-live', 'polite');
+            }
+        },
+        
+        // Inputs that carry the field's ARIA state
+        getAccessibleInputs: function(container) {
+            return Array.from(container.querySelectorAll('input, select, textarea'))
+                .filter(input => input.type !== 'hidden' && input.closest('[data-field-id]') === container);
+        },
+        
+        // Add or remove one id in aria-describedby, keeping the others (hints, AriaDescribedBy)
+        toggleDescribedBy: function(input, id, add) {
+            const ids = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+            if (add) ids.push(id);
+            
+            if (ids.length > 0) {
+                input.setAttribute('aria-describedby', ids.join(' '));
+            } else {
+                input.removeAttribute('aria-describedby');
+            }
+        },
+        
+        // Visible label text without the required marker
+        getFieldLabelText: function(container) {
+            const label = container.querySelector('label, legend');
+            const text = label ? label.textContent.replace(/\*/g, '').trim() : '';
+            return text ||
+                this.getAccessibleInputs(container)[0]?.getAttribute('aria-label') ||
+                container.getAttribute('data-field-id');
+        },
+        
+        // Screen reader announcements through one polite live region per form
+        announce: function(message) {
+            const form = this.getForm();
+            if (!form || !message) return;
+            
+            let region = form.querySelector('.dynamic-forms-live-region');
+            if (!region) {
+                region = document.createElement('div');
+                region.className = 'sr-only visually-hidden dynamic-forms-live-region';
+                region.setAttribute('role', 'status');
+                region.setAttribute('aria-live', 'polite');
+                region.setAttribute('aria-atomic', 'true');
+                form.appendChild(region);
+            }
+            
+            // Empty first so the same message is announced again; only the latest one is kept
+            region.textContent = '';
+            clearTimeout(this.announceTimer);
+            this.announceTimer = setTimeout(() => {
+                region.textContent = message;
+            }, 100);
+        },
+        
+        // Cross-field (FieldSetValidation) rules. Sets come from config.fieldSetValidations or
+        // from data-fieldset-validation (one rule or an array) on the group's container; without
+        // a container the error goes on the closest element holding every member field.
+        initializeFieldSetValidations: function() {
+            this.fieldSets = [];
+            
+            const form = this.getForm();
+            if (!form) return;
+            
+            (this.config.fieldSetValidations || []).forEach(rule => this.addFieldSet(rule, null));
+            
+            form.querySelectorAll('[data-fieldset-validation]').forEach(container => {
+                try {
+                    [].concat(JSON.parse(container.getAttribute('data-fieldset-validation')))
+                        .forEach(rule => this.addFieldSet(rule, container));
+                } catch (error) {
+                    console.error('Invalid data-fieldset-validation:', error.message);
+                }
+            });
+        },
+        
+        addFieldSet: function(rule, container) {
+            const form = this.getForm();
+            const fieldIds = (this.getSchemaValue(rule, 'FieldIds') || []).map(String);
+            const members = fieldIds
+                .map(id => form.querySelector(`[data-field-id="${CSS.escape(id)}"]`))
+                .filter(Boolean);
+            
+            if (members.length === 0) return;
+            
+            this.fieldSets.push({
+                index: this.fieldSets.length,
+                rule: rule,
+                type: String(this.getSchemaValue(rule, 'Type') || ''),
+                fieldIds: fieldIds,
+                container: container || this.getCommonAncestor(members)
+            });
+        },
+        
+        getCommonAncestor: function(elements) {
+            let ancestor = elements[0].parentElement;
+            while (ancestor && !elements.every(element => ancestor.contains(element))) {
+                ancestor = ancestor.parentElement;
+            }
+            return ancestor || this.getForm();
+        },
+        
+        // Group validators receive the member values (FieldIds order, as readFieldValue returns
+        // them) and the rule; return false when the group is invalid. Add types through
+        // registerFieldSetValidator.
+        fieldSetValidators: {
+            AtLeastOne: function(values) {
+                return values.some(value => !this.isFieldSetValueEmpty(value));
+            },
+            AllOrNone: function(values) {
+                const filled = values.filter(value => !this.isFieldSetValueEmpty(value)).length;
+                return filled === 0 || filled === values.length;
+            },
+            MutuallyExclusive: function(values) {
+                return values.filter(value => !this.isFieldSetValueEmpty(value)).length <= 1;
+            },
+            // The last field holds the total the others must add up to
+            SumEquals: function(values) {
+                const amounts = values.map(value => this.isFieldSetValueEmpty(value) ? null : parseFloat(value));
+                const total = amounts.pop();
+                if (total === null || isNaN(total)) return true;
+                
+                const sum = amounts.reduce((acc, amount) => acc + (amount && !isNaN(amount) ? amount : 0), 0);
+                return Math.abs(sum - total) < 0.005;
+            },
+            // Each date must come after the one before it (blanks are ignored)
+            DateOrder: function(values) {
+                const dates = values
+                    .filter(value => !this.isFieldSetValueEmpty(value))
+                    .map(value => new Date(value).getTime())
+                    .filter(time => !isNaN(time));
+                return dates.every((time, i) => i === 0 || time > dates[i - 1]);
+            }
+        },
+        
+        registerFieldSetValidator: function(type, validate, messages) {
+            this.fieldSetValidators[type] = validate;
+            if (messages) {
+                this.fieldSetMessages[type] = messages;
+            }
+        },
+        
+        // Default messages for custom group types: { EN: '...', FR: '...' }
+        fieldSetMessages: {},
+        
+        isFieldSetValueEmpty: function(value) {
+            return value === false || this.isConditionValueEmpty(value);
+        },
+        
+        // Re-validate the groups a field belongs to
+        validateFieldSetsFor: function(fieldId) {
+            (this.fieldSets || [])
+                .filter(set => set.fieldIds.includes(fieldId))
+                .forEach(set => this.validateFieldSet(set));
+        },
+        
+        validateFieldSets: function() {
+            let isValid = true;
+            
+            (this.fieldSets || []).forEach(set => {
+                if (!this.validateFieldSet(set)) {
+                    isValid = false;
+                }
+            });
+            
+            return isValid;
+        },
+        
+        validateFieldSet: function(set) {
+            const validate = this.fieldSetValidators[set.type];
+            if (!validate) {
+                console.warn(`Unknown FieldSetValidation type: ${set.type}`);
+                return true;
+            }
+            
+            // Groups on a hidden part of the form do not apply
+            if (set.container.closest('.d-none')) {
+                this.clearFieldSetValidation(set);
+                return true;
+            }
+            
+            const values = set.fieldIds.map(id => this.getFieldValue(id));
+            const isValid = validate.call(this, values, set.rule) !== false;
+            
+            if (isValid) {
+                this.clearFieldSetValidation(set);
+            } else {
+                this.showFieldSetValidation(set, this.getFieldSetMessage(set));
+            }
+            
+            return isValid;
+        },
+        
+        getFieldSetMessage: function(set) {
+            const isFrench = this.config.language === 'FR';
+            const custom = this.getSchemaValue(set.rule, isFrench ? 'ErrorMessageFr' : 'ErrorMessageEn') ||
+                this.getSchemaValue(set.rule, 'ErrorMessageEn');
+            if (custom) return custom;
+            
+            const registered = this.fieldSetMessages[set.type];
+            if (registered) return registered[isFrench ? 'FR' : 'EN'] || registered.EN;
+            
+            const key = set.type.charAt(0).toLowerCase() + set.type.slice(1);
+            return this.getValidationMessage(key) || this.getValidationMessage('fieldSet');
+        },
+        
+        showFieldSetValidation: function(set, message) {
+            let errorDiv = set.container.querySelector(`[data-fieldset-error="${set.index}"]`);
+            if (!errorDiv) {
+                errorDiv = document.createElement('div');
+                errorDiv.className = 'text-danger small fieldset-validation-error';
+                errorDiv.id = this.getElementId(`fieldset_error_${set.index}`);
+                errorDiv.setAttribute('data-fieldset-error', set.index);
+                errorDiv.setAttribute('role', 'alert');
+                set.container.appendChild(errorDiv);
+            }
+            
+            errorDiv.textContent = message;
+            set.container.classList.add('fieldset-invalid');
+        },
+        
+        clearFieldSetValidation: function(set) {
+            set.container.querySelector(`[data-fieldset-error="${set.index}"]`)?.remove();
+            
+            if (!set.container.querySelector('.fieldset-validation-error')) {
+                set.container.classList.remove('fieldset-invalid');
+            }
+        },
+        
+        // Label for a group in the validation summary: its legend/heading, else the member labels
+        getFieldSetLabel: function(set) {
+            const heading = set.container.querySelector('legend, h2, h3, h4, h5');
+            if (heading && set.container !== this.getForm()) return heading.textContent.trim();
+            
+            return set.fieldIds
+                .map(id => this.getForm().querySelector(`[data-field-id="${CSS.escape(id)}"] label`)?.textContent.trim() || id)
+                .join(', ');
+        },
+        
+        // Show validation summary
+        // formErrors: messages not tied to a field (e.g. server module errors)
+        // Returns true when a summary was shown (and focused)
+        showValidationSummary: function(formErrors) {
+            if (!this.config.validation.showErrorSummary) return false;
+            
+            const form = this.getForm();
+            const invalidFields = form.querySelectorAll('.is-invalid');
+            const invalidSets = (this.fieldSets || [])
+                .filter(set => set.container.querySelector(`[data-fieldset-error="${set.index}"]`));
+            formErrors = formErrors || [];
+            
+            if (invalidFields.length === 0 && invalidSets.length === 0 && formErrors.length === 0) return false;
+            
+            // Remove existing summary
+            const existingSummary = form.querySelector('.validation-summary-dynamic');
+            if (existingSummary) {
+                existingSummary.remove();
+            }
+            
+            // Create new summary: focusable, titled by its heading, one link per error
+            const Dom = this.Dom;
+            const titleId = this.getElementId('validation_summary_title');
+            const list = Dom.create('ul', { className: 'mb-0' });
+            const summary = Dom.create('div', {
+                className: 'alert alert-danger validation-summary-dynamic',
+                tabIndex: -1,
+                attrs: { 'aria-labelledby': titleId }
+            }, [
+                Dom.create('h5', {
+                    id: titleId,
+                    text: this.config.language === 'FR' ? 'Erreurs de validation :' : 'Validation errors:'
+                }),
+                list
+            ]);
+            
+            const addItem = (text, target) => {
+                list.appendChild(Dom.create('li', null, [
+                    target
+                        ? Dom.create('a', {
+                            href: target.id ? `#${target.id}` : '#',
+                            text: text,
+                            on: {
+                                click: e => {
+                                    e.preventDefault();
+                                    target.scrollIntoView({ block: 'center' });
+                                    target.focus();
+                                }
+                            }
+                        })
+                        : text
+                ]));
+            };
+            
+            formErrors.forEach(message => addItem(message, null));
+            
+            Array.from(invalidFields).forEach(field => {
+                const container = field.closest('[data-field-id]');
+                const fieldName = container ? this.getFieldLabelText(container) : 'Field';
+                const errorMsg = container?.querySelector('.invalid-feedback')?.textContent || 'Invalid value';
+                addItem(`${fieldName}: ${errorMsg}`, field);
+            });
+            
+            invalidSets.forEach(set => {
+                const errorMsg = set.container.querySelector(`[data-fieldset-error="${set.index}"]`).textContent;
+                const firstMember = form.querySelector(`[data-field-id="${CSS.escape(set.fieldIds[0])}"]`);
+                addItem(`${this.getFieldSetLabel(set)}: ${errorMsg}`, firstMember && this.getAccessibleInputs(firstMember)[0]);
+            });
+            
+            // Insert at top of form and move focus to it so the errors are read out
+            form.insertBefore(summary, form.firstChild);
+            summary.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            summary.focus({ preventScroll: true });
+            return true;
+        },
+        
+        // Auto-save functionality
+        setupAutoSave: function() {
+            if (!this.config.autoSave.url) {
+                console.warn('Auto-save enabled but no URL configured');
+                return;
+            }
+            
+            // Resync queued drafts as soon as the connection comes back
+            this.listen(window, 'online', () => this.autoSave());
+            this.listen(window, 'offline', () => this.showAutoSaveStatus('offline'));
+            
+            this.restoreLocalDraft();
+            
+            // Only send when something changed since the last save
+            this.autoSaveInterval = setInterval(() => {
+                if (this.isDirty()) {
+                    this.autoSave();
+                }
+            }, this.config.autoSave.interval);
+        },
+        
+        // Change tracking: field values are compared with a snapshot taken at load
+        // and again after every successful save or submit
+        setupChangeTracking: function() {
+            this.initialValues = this.captureFieldValues();
+            
+            this.listen(window, 'beforeunload', e => {
+                if (!this.config.changeTracking.warnOnUnload || this.submitting || !this.isDirty()) return;
+                
+                e.preventDefault();
+                // Most browsers show their own text; older ones use this one
+                e.returnValue = this.getValidationMessage('unsavedChanges');
+                return e.returnValue;
+            });
+        },
+        
+        // Current value of every top-level field, keyed by field id. Layout containers
+        // (data-field-layout: sections, panels...) hold fields rather than a value.
+        captureFieldValues: function() {
+            const values = {};
+            const form = this.getForm();
+            if (!form) return values;
+            
+            form.querySelectorAll('[data-field-id]:not([data-field-layout])').forEach(container => {
+                if (container.parentElement?.closest('[data-field-id]:not([data-field-layout])')) return;
+                values[container.getAttribute('data-field-id')] = this.readFieldValue(container);
+            });
+            return values;
+        },
+        
+        // Fields whose value differs from the baseline: { fieldId: { oldValue, newValue } }
+        getChanges: function() {
+            const baseline = this.initialValues || {};
+            const current = this.captureFieldValues();
+            const changes = {};
+            
+            Object.keys(current).forEach(fieldId => {
+                const oldValue = fieldId in baseline ? baseline[fieldId] : null;
+                if (JSON.stringify(oldValue) !== JSON.stringify(current[fieldId])) {
+                    changes[fieldId] = { oldValue: oldValue, newValue: current[fieldId] };
+                }
+            });
+            return changes;
+        },
+        
+        isDirty: function() {
+            return Object.keys(this.getChanges()).length > 0;
+        },
+        
+        // Make the given snapshot (or the current values) the new baseline
+        resetChanges: function(values) {
+            this.initialValues = values || this.captureFieldValues();
+        },
+        
+        // Perform auto-save: store the draft locally, then send it when online
+        autoSave: function() {
+            const form = this.getForm();
+            if (!form) return;
+            
+            clearTimeout(this.draftSaveTimeout);
+            
+            return this.saveLocalDraft().then(draft => {
+                if (navigator.onLine === false) {
+                    this.showAutoSaveStatus('offline');
+                    return;
+                }
+                
+                const formData = new FormData(form);
+                if (this.config.autoSave.version !== null && this.config.autoSave.version !== undefined) {
+                    formData.append('DraftVersion', this.config.autoSave.version);
+                }
+                
+                if (!this.emit('beforeSave', { kind: 'autoSave', formData: formData }, true)) {
+                    return;
+                }
+                
+                // Changes made while the request is in flight stay dirty
+                const savedValues = this.captureFieldValues();
+                
+                return fetch(this.config.autoSave.url, {
+                    method: 'POST',
+                    body: formData,
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                })
+                .then(response => {
+                    // 409: the server copy changed since this page (or draft) was loaded
+                    if (response.status === 409) {
+                        return response.json().catch(() => ({})).then(data => {
+                            this.showDraftConflict(draft, data.version, true);
+                        });
+                    }
+                    
+                    return response.json().then(data => {
+                        if (data.success) {
+                            this.markDraftSynced(draft, data.version);
+                            this.resetChanges(savedValues);
+                            this.showAutoSaveStatus('saved');
+                            this.emit('saved', { kind: 'autoSave', data: data });
+                        } else {
+                            this.showAutoSaveStatus('error');
+                            this.emit('saveFailed', { kind: 'autoSave', error: data });
+                        }
+                    });
+                });
+            })
+            .catch(error => {
+                // The local draft stays queued for the next attempt
+                console.error('Auto-save failed:', error);
+                this.showAutoSaveStatus(navigator.onLine === false ? 'offline' : 'error');
+                this.emit('saveFailed', { kind: 'autoSave', error: error });
+            });
+        },
+        
+        // Store the draft locally shortly after each change
+        saveFieldData: function(fieldId, value) {
+            clearTimeout(this.draftSaveTimeout);
+            this.draftSaveTimeout = setTimeout(() => {
+                this.saveLocalDraft();
+            }, 500);
+        },
+        
+        // Offline draft storage (IndexedDB). Drafts are keyed by form and user:
+        // { key, formId, userId, entries: [[name, value], ...], savedAt, version, pending }
+        getDraftKey: function() {
+            const formId = this.config.formId || window.location.pathname;
+            return `${formId}:${this.config.autoSave.userId || 'anonymous'}`;
+        },
+        
+        openDraftDatabase: function() {
+            if (this.draftDatabase) return this.draftDatabase;
+            
+            this.draftDatabase = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = window.indexedDB.open('DynamicForms', 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('drafts', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            return this.draftDatabase;
+        },
+        
+        // Run a request against the drafts store; resolves null when storage is unavailable
+        runDraftRequest: function(mode, createRequest) {
+            return this.openDraftDatabase()
+                .then(db => new Promise((resolve, reject) => {
+                    const request = createRequest(db.transaction('drafts', mode).objectStore('drafts'));
+                    request.onsuccess = () => resolve(request.result ?? null);
+                    request.onerror = () => reject(request.error);
+                }))
+                .catch(error => {
+                    console.warn('Offline draft storage unavailable:', error.message || error);
+                    return null;
+                });
+        },
+        
+        readLocalDraft: function() {
+            return this.runDraftRequest('readonly', store => store.get(this.getDraftKey()));
+        },
+        
+        deleteLocalDraft: function() {
+            return this.runDraftRequest('readwrite', store => store.delete(this.getDraftKey()));
+        },
+        
+        saveLocalDraft: function() {
+            const form = this.getForm();
+            const draft = {
+                key: this.getDraftKey(),
+                formId: this.config.formId,
+                userId: this.config.autoSave.userId,
+                entries: form ? this.getDraftEntries(form) : [],
+                savedAt: new Date().toISOString(),
+                version: this.config.autoSave.version,
+                pending: true
+            };
+            
+            return this.runDraftRequest('readwrite', store => store.put(draft)).then(() => draft);
+        },
+        
+        // Text values only: files go through the upload pipeline, tokens are per request.
+        // Grids whose rows are in (not disabled by a hidden field) are named by DRAFT_DATAGRID_ENTRY.
+        getDraftEntries: function(form) {
+            const entries = Array.from(new FormData(form).entries())
+                .filter(([name, value]) => typeof value === 'string' && name !== '__RequestVerificationToken');
+            
+            Object.values(this.dataGrids || {}).forEach(grid => {
+                if (form.contains(grid.element) && !grid.dataContainer.querySelector('input:disabled')) {
+                    entries.push([DRAFT_DATAGRID_ENTRY, grid.id]);
+                }
+            });
+            return entries;
+        },
+        
+        // Once the server accepted a draft the local copy is no longer needed,
+        // unless the user changed something while the request was in flight
+        markDraftSynced: function(draft, version) {
+            if (version !== undefined && version !== null) {
+                this.config.autoSave.version = version;
+            }
+            
+            return this.readLocalDraft().then(stored => {
+                if (!stored) return null;
+                if (stored.savedAt === draft.savedAt) return this.deleteLocalDraft();
+                
+                stored.version = this.config.autoSave.version;
+                return this.runDraftRequest('readwrite', store => store.put(stored));
+            });
+        },
+        
+        // Offer an unsynced draft left over from an earlier visit
+        restoreLocalDraft: function() {
+            return this.readLocalDraft().then(draft => {
+                if (!draft || !draft.pending) return;
+                
+                const serverVersion = this.config.autoSave.version;
+                const serverChanged = serverVersion !== null && serverVersion !== undefined &&
+                    draft.version !== null && draft.version !== undefined &&
+                    String(serverVersion) !== String(draft.version);
+                
+                if (serverChanged) {
+                    this.showDraftConflict(draft, serverVersion, false);
+                } else {
+                    this.applyDraftEntries(draft.entries);
+                    this.autoSave();
+                }
+            });
+        },
+        
+        // Put draft values back into the form and re-run the field logic that depends on them
+        applyDraftEntries: function(entries) {
+            const form = this.getForm();
+            if (!form) return;
+            
+            const valuesByName = {};
+            entries.forEach(([name, value]) => {
+                (valuesByName[name] = valuesByName[name] || []).push(value);
+            });
+            
+            // Records and grid rows first: the fields below may read them (formulas, conditions)
+            this.applyDraftModalRecords(valuesByName);
+            this.applyDraftDataGrids(valuesByName);
+            
+            Object.keys(valuesByName).forEach(name => {
+                const values = valuesByName[name];
+                const inputs = Array.from(form.querySelectorAll(`[name="${CSS.escape(name)}"]`))
+                    // Record and grid inputs were regenerated from the restored component state
+                    .filter(input => !input.closest('[data-modal-records-data], [data-datagrid-data]'));
+                
+                inputs.forEach(input => {
+                    if (input.type === 'checkbox' || input.type === 'radio') {
+                        input.checked = values.includes(input.value);
+                    } else if (input.tagName === 'SELECT' && input.multiple) {
+                        Array.from(input.options).forEach(option => {
+                            option.selected = values.includes(option.value);
+                        });
+                    } else if (input.type !== 'file') {
+                        input.value = values[inputs.indexOf(input)] ?? values[0];
+                    }
+                    
+                    input.dispatchEvent(new Event('change', { bubbles: true }));
+                });
+            });
+        },
+        
+        // Rebuild modal records from the names serializeModalRecords posts. Tables the draft
+        // has no ModalId for (hidden, so their inputs were disabled) keep their records.
+        applyDraftModalRecords: function(valuesByName) {
+            const namePrefix = this.config.modalRecords.namePrefix;
+            
+            Object.keys(this.modalTables || {}).forEach(modalId => {
+                const modalPrefix = `${namePrefix}[${modalId}]`;
+                if (!valuesByName[`${modalPrefix}.ModalId`]) return;
+                
+                this.modalTables[modalId].records = (valuesByName[`${modalPrefix}.Records.Index`] || []).map(recordId => {
+                    const recordPrefix = `${modalPrefix}.Records[${recordId}]`;
+                    const values = {};
+                    
+                    for (let index = 0; valuesByName[`${recordPrefix}.Fields[${index}].FieldId`]; index++) {
+                        const fieldPrefix = `${recordPrefix}.Fields[${index}]`;
+                        values[valuesByName[`${fieldPrefix}.FieldId`][0]] = valuesByName[`${fieldPrefix}.MultiValues`]?.slice()
+                            ?? valuesByName[`${fieldPrefix}.Value`]?.[0]
+                            ?? null;
+                    }
+                    return { id: recordId, values: values };
+                });
+                
+                this.renderModalRecords(modalId);
+                this.serializeModalRecords(modalId);
+            });
+        },
+        
+        // Rebuild data grid rows from the names serializeDataGrid posts (name[index].ColumnId)
+        applyDraftDataGrids: function(valuesByName) {
+            const draftGridIds = valuesByName[DRAFT_DATAGRID_ENTRY] || [];
+            
+            Object.values(this.dataGrids || {}).forEach(grid => {
+                if (!draftGridIds.includes(grid.id)) return;
+                
+                // Rows left entirely blank post nothing; those before the last one come back empty
+                const prefix = `${grid.namePrefix}[`;
+                let rowCount = 0;
+                Object.keys(valuesByName).forEach(name => {
+                    if (!name.startsWith(prefix)) return;
+                    const index = parseInt(name.slice(prefix.length), 10);
+                    if (!isNaN(index)) rowCount = Math.max(rowCount, index + 1);
+                });
+                
+                grid.rows = Array.from({ length: rowCount }, (_, index) => {
+                    const values = {};
+                    grid.columns.forEach(column => {
+                        const columnId = this.getSchemaValue(column, 'Id');
+                        const posted = valuesByName[`${grid.namePrefix}[${index}].${columnId}`];
+                        if (!posted) return;
+                        
+                        const fieldType = String(this.getSchemaValue(column, 'FieldType') || 'TextBox').toLowerCase();
+                        values[columnId] = fieldType === 'checkboxlist'
+                            ? posted.slice()
+                            : (fieldType === 'checkbox' ? posted[0] === 'true' : posted[0]);
+                    });
+                    return { key: this.generateRecordId(), values: values, isNew: false };
+                });
+                grid.editingKey = null;
+                
+                this.renderDataGrid(grid);
+            });
+        },
+        
+        // The server copy changed since the draft was taken: let the user pick one
+        showDraftConflict: function(draft, serverVersion, isApplied) {
+            const form = this.getForm();
+            if (!form || form.querySelector('.draft-conflict')) return;
+            
+            const isFrench = this.config.language === 'FR';
+            const savedAt = new Date(draft.savedAt).toLocaleString(isFrench ? 'fr-CA' : 'en-CA');
+            
+            const prompt = document.createElement('div');
+            prompt.className = 'alert alert-warning draft-conflict';
+            prompt.setAttribute('role', 'alert');
+            
+            const message = document.createElement('p');
+            message.className = 'mb-2';
+            message.textContent = isFrench
+                ? `Ce formulaire a t modifi sur le serveur depuis votre brouillon hors ligne du ${savedAt}.`
+                : `This form was changed on the server since your offline draft from ${savedAt}.`;
+            prompt.appendChild(message);
+            
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'btn btn-sm btn-primary me-2';
+            restoreBtn.textContent = isFrench ? 'Restaurer mon brouillon' : 'Restore my draft';
+            restoreBtn.addEventListener('click', () => {
+                prompt.remove();
+                // Deliberately overwrite the newer server copy
+                this.config.autoSave.version = serverVersion ?? this.config.autoSave.version;
+                if (!isApplied) {
+                    this.applyDraftEntries(draft.entries);
+                }
+                this.autoSave();
+            });
+            prompt.appendChild(restoreBtn);
+            
+            const discardBtn = document.createElement('button');
+            discardBtn.type = 'button';
+            discardBtn.className = 'btn btn-sm btn-outline-secondary';
+            discardBtn.textContent = isFrench ? 'Supprimer le brouillon' : 'Discard draft';
+            discardBtn.addEventListener('click', () => {
+                prompt.remove();
+                this.deleteLocalDraft().then(() => {
+                    // The page shows the draft; reload to get the server copy back
+                    if (isApplied) {
+                        window.location.reload();
+                    }
+                });
+            });
+            prompt.appendChild(discardBtn);
+            
+            form.insertBefore(prompt, form.firstChild);
+            prompt.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        },
+        
+        // Show auto-save status
+        showAutoSaveStatus: function(status) {
+            let message, className;
+            
+            switch (status) {
+                case 'saved':
+                    message = this.config.language === 'FR' ? 'Sauvegard automatiquement' : 'Auto-saved';
+                    className = 'alert-success';
+                    break;
+                case 'error':
+                    message = this.config.language === 'FR' ? 'Erreur de sauvegarde' : 'Save error';
+                    className = 'alert-danger';
+                    break;
+                case 'offline':
+                    message = this.config.language === 'FR'
+                        ? 'Hors ligne - brouillon enregistr sur cet appareil'
+                        : 'Offline - draft saved on this device';
+                    className = 'alert-warning';
+                    break;
+                default:
+                    return;
+            }
+            
+            // Show temporary status message
+            const statusEl = document.createElement('div');
+            statusEl.className = `alert ${className} auto-save-status`;
+            statusEl.textContent = message;
+            statusEl.style.cssText = 'position: fixed; top: 20px; right: 20px; z-index: 9999; min-width: 200px;';
+            
+            document.body.appendChild(statusEl);
+            
+            setTimeout(() => {
+                statusEl.remove();
+            }, 3000);
+        },
+        
+        // Save draft functionality
+        saveDraft: function() {
+            const form = this.getForm();
+            if (!form) return Promise.reject('No form found');
+            
+            const formData = new FormData(form);
+            formData.append('Action', 'SaveDraft');
+            
+            if (!this.emit('beforeSave', { kind: 'draft', formData: formData }, true)) {
+                return Promise.resolve(null);
+            }
+            
+            const savedValues = this.captureFieldValues();
+            
+            return fetch(this.config.autoSave.url || window.location.href, {
+                method: 'POST',
+                body: formData,
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest'
+                }
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    this.deleteLocalDraft();
+                    if (data.version !== undefined && data.version !== null) {
+                        this.config.autoSave.version = data.version;
+                    }
+                    this.resetChanges(savedValues);
+                    this.emit('saved', { kind: 'draft', data: data });
+                } else {
+                    this.emit('saveFailed', { kind: 'draft', error: data });
+                }
+                return data;
+            });
+        },
+        
+        // Show loading state
+        showFormLoading: function(loading) {
+            const form = this.getForm();
+            if (!form) return;
+            
+            const submitBtns = form.querySelectorAll('button[type="submit"]');
+            
+            // The spinner is added and removed as a node so the button's own content is never re-parsed
+            submitBtns.forEach(btn => {
+                const spinner = btn.querySelector('.form-loading-spinner');
+                btn.disabled = loading;
+                if (loading && !spinner) {
+                    btn.prepend(this.Dom.create('span', {
+                        className: 'spinner-border spinner-border-sm me-2 form-loading-spinner',
+                        attrs: { role: 'status' }
+                    }));
+                } else if (!loading && spinner) {
+                    spinner.remove();
+                }
+            });
+        },
+        
+        // Modal table (repeating record) functions
+        initializeModalTables: function() {
+            this.modalTables = {};
+            
+            const form = this.getForm();
+            if (!form) return;
+            
+            form.querySelectorAll('[data-modal-table]').forEach(container => {
+                const modalId = container.getAttribute('data-modal-table');
+                const editor = form.querySelector(`[data-modal-editor="${CSS.escape(modalId)}"]`);
+                
+                let records = [];
+                try {
+                    records = JSON.parse(container.getAttribute('data-modal-records') || '[]');
+                } catch (error) {
+                    console.warn(`Invalid records for modal table ${modalId}:`, error);
+                }
+                
+                // Editor inputs get no form owner, so they never post with the main form
+                if (editor) {
+                    editor.querySelectorAll('input, select, textarea').forEach(input => {
+                        input.setAttribute('form', `${editor.id || modalId}_editor`);
+                    });
+                }
+                
+                this.modalTables[modalId] = {
+                    container: container,
+                    editor: editor,
+                    records: records.map(record => ({ id: record.id, values: record.values || {} })),
+                    editingRecordId: null
+                };
+                
+                this.serializeModalRecords(modalId);
+            });
+        },
+        
+        openModalForAdd: function(modalId) {
+            const table = this.modalTables?.[modalId];
+            if (!table || !table.editor) return;
+            
+            const maxRecords = parseInt(table.container.getAttribute('data-max-records'));
+            if (maxRecords && table.records.length >= maxRecords) {
+                alert(this.config.language === 'FR'
+                    ? `Nombre maximal d'enregistrements atteint (${maxRecords}).`
+                    : `Maximum number of records reached (${maxRecords}).`);
+                return;
+            }
+            
+            table.editingRecordId = null;
+            this.resetModalEditor(table);
+            this.setModalTitle(table, this.config.language === 'FR' ? 'Ajouter' : 'Add');
+            this.showModal(table.editor);
+        },
+        
+        openModalForEdit: function(modalId, recordId) {
+            const table = this.modalTables?.[modalId];
+            const record = table?.records.find(r => r.id === recordId);
+            if (!record || !table.editor) return;
+            
+            table.editingRecordId = recordId;
+            this.resetModalEditor(table);
+            
+            this.getModalEditorFields(table).forEach(container => {
+                const fieldId = container.getAttribute('data-field-id');
+                if (Object.prototype.hasOwnProperty.call(record.values, fieldId)) {
+                    this.writeFieldValue(container, record.values[fieldId]);
+                }
+            });
+            
+            this.setModalTitle(table, this.config.language === 'FR' ? 'Modifier' : 'Edit');
+            this.showModal(table.editor);
+        },
+        
+        saveModalRecord: function(modalId) {
+            const table = this.modalTables?.[modalId];
+            if (!table || !table.editor) return;
+            
+            const fieldContainers = this.getModalEditorFields(table);
+            
+            // Validate every editor field before touching the records
+            let isValid = true;
+            fieldContainers.forEach(container => {
+                this.getFieldInputs(container).forEach(input => {
+                    if (!this.validateField(input)) {
+                        isValid = false;
+                    }
+                });
+            });
+            if (!isValid) return;
+            
+            const values = {};
+            fieldContainers.forEach(container => {
+                values[container.getAttribute('data-field-id')] = this.readFieldValue(container);
+            });
+            
+            const existing = table.records.find(r => r.id === table.editingRecordId);
+            if (existing) {
+                existing.values = values;
+            } else {
+                table.records.push({ id: this.generateRecordId(), values: values });
+            }
+            
+            table.editingRecordId = null;
+            this.renderModalRecords(modalId);
+            this.serializeModalRecords(modalId);
+            this.hideModal(table.editor);
+        },
+        
+        deleteModalRecord: function(modalId, recordId) {
+            const table = this.modalTables?.[modalId];
+            if (!table) return;
+            
+            const message = this.config.language === 'FR'
+                ? 'tes-vous sr de vouloir supprimer cet enregistrement ?'
+                : 'Are you sure you want to delete this record?';
+            if (!confirm(message)) return;
+            
+            table.records = table.records.filter(r => r.id !== recordId);
+            this.renderModalRecords(modalId);
+            this.serializeModalRecords(modalId);
+        },
+        
+        // Field containers of a modal editor (top-level only)
+        getModalEditorFields: function(table) {
+            return Array.from(table.editor.querySelectorAll('[data-field-id]')).filter(container => {
+                const parentField = container.parentElement.closest('[data-field-id]');
+                return !parentField || !table.editor.contains(parentField);
+            });
+        },
+        
+        resetModalEditor: function(table) {
+            this.getModalEditorFields(table).forEach(container => {
+                this.writeFieldValue(container, null);
+                this.clearFieldValidation(container);
+            });
+        },
+        
+        setModalTitle: function(table, actionText) {
+            const title = table.editor.querySelector('.modal-title');
+            if (title) {
+                title.textContent = `${actionText} ${table.container.getAttribute('data-modal-title') || ''}`.trim();
+            }
+        },
+        
+        // Re-render the record rows from client-side state
+        renderModalRecords: function(modalId) {
+            const table = this.modalTables[modalId];
+            const tbody = table.container.querySelector('tbody');
+            if (!tbody) return;
+            
+            const columns = Array.from(table.container.querySelectorAll('thead th[data-column-id]'))
+                .map(th => th.getAttribute('data-column-id'));
+            const canEdit = table.container.getAttribute('data-can-edit') === 'true';
+            const canDelete = table.container.getAttribute('data-can-delete') === 'true';
+            const isFrench = this.config.language === 'FR';
+            
+            tbody.replaceChildren();
+            
+            table.records.forEach(record => {
+                const row = document.createElement('tr');
+                row.setAttribute('data-record-id', record.id);
+                
+                columns.forEach(columnId => {
+                    const cell = document.createElement('td');
+                    const display = this.getModalDisplayValue(table, columnId, record.values[columnId]);
+                    
+                    if (display) {
+                        cell.textContent = display;
+                    } else {
+                        const empty = document.createElement('span');
+                        empty.className = 'text-muted';
+                        empty.textContent = '-';
+                        cell.appendChild(empty);
+                    }
+                    row.appendChild(cell);
+                });
+                
+                if (canEdit || canDelete) {
+                    const actions = document.createElement('td');
+                    actions.className = 'text-center';
+                    
+                    if (canEdit) {
+                        actions.appendChild(this.createModalActionButton('edit-modal-record', modalId, record.id,
+                            'btn-outline-primary me-1', 'fa-edit', isFrench ? 'Modifier' : 'Edit'));
+                    }
+                    if (canDelete) {
+                        actions.appendChild(this.createModalActionButton('delete-modal-record', modalId, record.id,
+                            'btn-outline-danger', 'fa-trash', isFrench ? 'Supprimer' : 'Delete'));
+                    }
+                    row.appendChild(actions);
+                }
+                
+                tbody.appendChild(row);
+            });
+            
+            const hasRecords = table.records.length > 0;
+            table.container.querySelector('.table-responsive')?.classList.toggle('d-none', !hasRecords);
+            table.container.querySelector('.modal-records-empty')?.classList.toggle('d-none', hasRecords);
+        },
+        
+        createModalActionButton: function(action, modalId, recordId, className, icon, title) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn btn-sm ${className}`;
+            button.title = title;
+            button.setAttribute('data-action', action);
+            button.setAttribute('data-modal-id', modalId);
+            button.setAttribute('data-record-id', recordId);
+            
+            const iconEl = document.createElement('i');
+            iconEl.className = `fas ${icon}`;
+            button.appendChild(iconEl);
+            
+            return button;
+        },
+        
+        // Display text for a record value, using the editor's option labels
+        getModalDisplayValue: function(table, fieldId, value) {
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                return '';
+            }
+            
+            const isFrench = this.config.language === 'FR';
+            const container = table.editor?.querySelector(`[data-field-id="${CSS.escape(fieldId)}"]`);
+            
+            return (Array.isArray(value) ? value : [value]).map(item => {
+                if (typeof item === 'boolean') {
+                    return item ? (isFrench ? 'Oui' : 'Yes') : (isFrench ? 'Non' : 'No');
+                }
+                
+                const option = container && Array.from(container.querySelectorAll('option'))
+                    .find(o => o.value === String(item));
+                if (option) return option.textContent.trim();
+                
+                const choice = container && Array.from(container.querySelectorAll('input[type="radio"], input[type="checkbox"]'))
+                    .find(input => input.value === String(item));
+                const label = choice?.id && container.querySelector(`label[for="${CSS.escape(choice.id)}"]`);
+                
+                return label ? label.textContent.trim() : String(item);
+            }).join(', ');
+        },
+        
+        // Write records as Submission.Modals hidden inputs. Keyed (".Index") collections
+        // let the model binder accept record ids instead of sequential indexes.
+        serializeModalRecords: function(modalId) {
+            const table = this.modalTables[modalId];
+            const target = table.container.querySelector('[data-modal-records-data]');
+            if (!target) return;
+            
+            const namePrefix = this.config.modalRecords.namePrefix;
+            const modalPrefix = `${namePrefix}[${modalId}]`;
+            const addHidden = (name, value) => {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = value;
+                target.appendChild(input);
+            };
+            
+            target.replaceChildren();
+            addHidden(`${namePrefix}.Index`, modalId);
+            addHidden(`${modalPrefix}.ModalId`, modalId);
+            
+            table.records.forEach(record => {
+                const recordPrefix = `${modalPrefix}.Records[${record.id}]`;
+                addHidden(`${modalPrefix}.Records.Index`, record.id);
+                addHidden(`${recordPrefix}.RecordId`, record.id);
+                
+                Object.keys(record.values).forEach((fieldId, index) => {
+                    const value = record.values[fieldId];
+                    const fieldPrefix = `${recordPrefix}.Fields[${index}]`;
+                    
+                    addHidden(`${fieldPrefix}.FieldId`, fieldId);
+                    if (Array.isArray(value)) {
+                        value.forEach(item => addHidden(`${fieldPrefix}.MultiValues`, item));
+                    } else if (value !== null && value !== undefined) {
+                        addHidden(`${fieldPrefix}.Value`, String(value));
+                    }
+                });
+            });
+        },
+        
+        generateRecordId: function() {
+            if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+                return window.crypto.randomUUID();
+            }
+            return `record_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+        },
+        
+        showModal: function(modal) {
+            if (window.bootstrap?.Modal) {
+                window.bootstrap.Modal.getOrCreateInstance(modal).show();
+                return;
+            }
+            modal.classList.add('show');
+            modal.style.display = 'block';
+            modal.removeAttribute('aria-hidden');
+        },
+        
+        hideModal: function(modal) {
+            if (window.bootstrap?.Modal) {
+                window.bootstrap.Modal.getOrCreateInstance(modal).hide();
+                return;
+            }
+            modal.classList.remove('show');
+            modal.style.display = 'none';
+            modal.setAttribute('aria-hidden', 'true');
+        },
+        
+        // Cascading dropdown functions
+        initializeCascades: function() {
+            this.cascades = {};
+            this.codeSetCache = {};
+            
+            const form = this.getForm();
+            if (!form) return;
+            
+            form.querySelectorAll('select[data-cascade-parent]').forEach(child => {
+                const parentId = child.getAttribute('data-cascade-parent');
+                (this.cascades[parentId] = this.cascades[parentId] || []).push(child);
+                
+                child.cascadeLocked = child.disabled;
+                child.cascadePlaceholder = Array.from(child.options).find(option => option.value === '')?.textContent.trim() ||
+                    (this.config.language === 'FR' ? '-- Veuillez slectionner --' : '-- Please Select --');
+            });
+            
+            // Populate top-down from the roots so server-selected values are kept at every level
+            const childIds = new Set(Object.values(this.cascades)
+                .flat()
+                .map(child => child.closest('[data-field-id]')?.getAttribute('data-field-id')));
+            
+            Object.keys(this.cascades)
+                .filter(parentId => !childIds.has(parentId))
+                .forEach(parentId => this.refreshCascadeChildren(parentId, true));
+        },
+        
+        // Repopulate the children of a cascade parent. A child whose selection changes
+        // fires its own change event, which carries the cascade down the chain.
+        refreshCascadeChildren: function(parentId, isInitial) {
+            const children = this.cascades?.[parentId] || [];
+            const parentValue = this.getFieldValue(parentId);
+            
+            return Promise.all(children.map(child => {
+                return this.populateCascadeChild(child, parentValue).then(changed => {
+                    const childId = child.closest('[data-field-id]')?.getAttribute('data-field-id');
+                    
+                    if (changed) {
+                        child.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { cascade: true } }));
+                    } else if (isInitial && childId) {
+                        return this.refreshCascadeChildren(childId, true);
+                    }
+                });
+            }));
+        },
+        
+        // Resolves true when the child's selection had to change
+        populateCascadeChild: function(child, parentValue) {
+            const previous = child.multiple
+                ? Array.from(child.selectedOptions).map(option => option.value)
+                : [child.value].filter(Boolean);
+            const hasParentValue = Array.isArray(parentValue) ? parentValue.length > 0 : !!parentValue;
+            const requestId = (child.cascadeRequestId || 0) + 1;
+            child.cascadeRequestId = requestId;
+            
+            const itemsPromise = hasParentValue
+                ? this.loadCascadeItems(child, parentValue)
+                : Promise.resolve([]);
+            
+            return itemsPromise
+                .catch(error => {
+                    console.error('Failed to load cascading options:', error);
+                    return [];
+                })
+                .then(items => {
+                    // A newer parent change superseded this request
+                    if (child.cascadeRequestId !== requestId) return false;
+                    
+                    const values = this.renderCascadeOptions(child, items);
+                    const kept = previous.filter(value => values.includes(value));
+                    
+                    Array.from(child.options).forEach(option => {
+                        option.selected = option.value === '' ? kept.length === 0 && !child.multiple : kept.includes(option.value);
+                    });
+                    
+                    child.disabled = child.cascadeLocked || !hasParentValue;
+                    
+                    return kept.length !== previous.length;
+                });
+        },
+        
+        renderCascadeOptions: function(child, items) {
+            const isFrench = this.config.language === 'FR';
+            
+            child.replaceChildren();
+            
+            if (!child.multiple) {
+                const placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = child.cascadePlaceholder;
+                child.appendChild(placeholder);
+            }
+            
+            return items.map(item => {
+                const option = document.createElement('option');
+                option.value = item.value;
+                option.textContent = (isFrench && item.textFr) || item.textEn || item.value;
+                child.appendChild(option);
+                return item.value;
+            });
+        },
+        
+        // Active items for a parent value, from the inline codeset or the endpoint
+        loadCascadeItems: function(child, parentValue) {
+            const parentValues = (Array.isArray(parentValue) ? parentValue : [parentValue]).map(v => String(v).toLowerCase());
+            const filterItems = items => items
+                .map(item => ({
+                    value: String(this.getSchemaValue(item, 'Value') ?? ''),
+                    textEn: this.getSchemaValue(item, 'TextEn'),
+                    textFr: this.getSchemaValue(item, 'TextFr'),
+                    order: this.getSchemaValue(item, 'Order') || 0,
+                    isActive: this.getSchemaValue(item, 'IsActive') !== false,
+                    parentValue: this.getSchemaValue(item, 'ParentValue')
+                }))
+                .filter(item => item.isActive &&
+                    (item.parentValue === null || item.parentValue === undefined ||
+                        parentValues.includes(String(item.parentValue).toLowerCase())))
+                .sort((a, b) => a.order - b.order);
+            
+            const inline = child.getAttribute('data-cascade-options');
+            if (inline) {
+                try {
+                    return Promise.resolve(filterItems(JSON.parse(inline)));
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            }
+            
+            const url = this.getCascadeUrl(child);
+            if (!url) {
+                return Promise.reject(new Error(`No option source for cascading field ${child.name || child.id}`));
+            }
+            
+            const requestUrl = `${url}${url.includes('?') ? '&' : '?'}parentValue=${encodeURIComponent(parentValues.join(','))}`;
+            
+            if (!this.codeSetCache[requestUrl]) {
+                this.codeSetCache[requestUrl] = fetch(requestUrl, {
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => Array.isArray(data) ? data : (this.getSchemaValue(data, 'Items') || []))
+                .catch(error => {
+                    // Don't cache failures
+                    delete this.codeSetCache[requestUrl];
+                    throw error;
+                });
+            }
+            
+            return this.codeSetCache[requestUrl].then(filterItems);
+        },
+        
+        getCascadeUrl: function(child) {
+            const url = child.getAttribute('data-cascade-url');
+            if (url) return url;
+            
+            const codeSetId = child.getAttribute('data-codeset-id');
+            if (!codeSetId || !this.config.cascade.url) return null;
+            
+            return this.config.cascade.url.replace('{codeSetId}', encodeURIComponent(codeSetId));
+        },
+        
+        // File upload functions
+        initializeFileUploads: function() {
+            this.fileUploads = {};
+            
+            const fileInputs = this.getRoot().querySelectorAll('input[type="file"]');
+            fileInputs.forEach(input => {
+                this.setupFileUploadPreview(input);
+            });
+            
+            // Uploads paused by a dropped connection pick up where they stopped
+            this.listen(window, 'online', this.resumePausedUploads.bind(this));
+        },
+        
+        setupFileUploadPreview: function(input) {
+            const fieldContainer = input.closest('[data-field-id]');
+            if (!fieldContainer) return;
+            
+            const fieldId = fieldContainer.getAttribute('data-field-id');
+            
+            let preview = fieldContainer.querySelector('.file-upload-preview');
+            if (!preview) {
+                preview = document.createElement('div');
+                preview.className = 'file-upload-preview d-none';
+                preview.setAttribute('aria-live', 'polite');
+                input.insertAdjacentElement('afterend', preview);
+            }
+            
+            const valuesContainer = fieldContainer.querySelector('[data-upload-values]');
+            
+            this.fileUploads[fieldId] = {
+                fieldId: fieldId,
+                input: input,
+                preview: preview,
+                valuesContainer: valuesContainer,
+                url: input.getAttribute('data-upload-url') || this.config.fileUpload.url,
+                required: input.getAttribute('data-required') === 'true' || input.required,
+                existingValues: valuesContainer
+                    ? Array.from(valuesContainer.querySelectorAll('input')).map(i => i.value).filter(Boolean)
+                    : [],
+                items: []
+            };
+        },
+        
+        showFileUploadProgress: function(fieldContainer, show) {
+            if (!fieldContainer) return;
+            
+            const state = this.fileUploads?.[fieldContainer.getAttribute('data-field-id')];
+            
+            fieldContainer.classList.toggle('is-uploading', show);
+            fieldContainer.setAttribute('aria-busy', show ? 'true' : 'false');
+            
+            if (state) {
+                state.preview.classList.toggle('d-none', !show && state.items.length === 0);
+            }
+        },
+        
+        // Upload files one at a time; resolves with the upload items once all have settled
+        uploadFiles: function(fieldId, files) {
+            const state = this.fileUploads?.[fieldId];
+            if (!state) return Promise.resolve([]);
+            
+            const fieldContainer = state.input.closest('[data-field-id]');
+            
+            // A single-file field replaces whatever was there before
+            if (!state.input.multiple) {
+                state.items.slice().forEach(item => this.discardUploadItem(state, item));
+                state.existingValues = [];
+                fieldContainer.querySelector('[data-upload-existing]')?.classList.add('d-none');
+            }
+            
+            const items = Array.from(files).map(file => {
+                const item = this.createUploadItem(state, file);
+                state.items.push(item);
+                return item;
+            });
+            
+            this.syncFileUploadValues(state);
+            
+            return items
+                .reduce((chain, item) => chain.then(() => this.uploadFileItem(state, item)), Promise.resolve())
+                .then(() => {
+                    this.showFileUploadProgress(fieldContainer, this.hasPendingUploads(state.input));
+                    return items;
+                });
+        },
+        
+        // Upload protocol (resumable, one session per file):
+        //   POST   {url}            JSON file metadata        -> { uploadId }
+        //   GET    {url}/{uploadId}                           -> { receivedBytes }
+        //   PUT    {url}/{uploadId} chunk + Content-Range     -> { receivedBytes, complete, fileId }
+        //   DELETE {url}/{uploadId}                           (cancel)
+        uploadFileItem: function(state, item) {
+            if (item.status === 'cancelled') return Promise.resolve(item);
+            
+            item.status = 'uploading';
+            item.error = null;
+            this.renderUploadItem(item);
+            
+            return this.startUploadSession(state, item)
+                .then(() => this.uploadNextChunk(state, item))
+                .then(() => item)
+                .catch(error => this.handleUploadError(state, item, error));
+        },
+        
+        startUploadSession: function(state, item) {
+            const storageKey = this.getUploadStorageKey(state, item.file);
+            const savedId = item.uploadId || this.readStoredUploadId(storageKey);
+            
+            if (!savedId) {
+                return this.createUploadSession(state, item, storageKey);
+            }
+            
+            return this.sendUploadRequest('GET', `${state.url}/${encodeURIComponent(savedId)}`)
+                .then(status => {
+                    item.uploadId = savedId;
+                    item.offset = status.receivedBytes || 0;
+                    this.updateUploadProgress(item, item.offset);
+                })
+                .catch(error => {
+                    // The server no longer knows this session; start over
+                    if (error.status === 404) {
+                        this.storeUploadId(storageKey, null);
+                        item.uploadId = null;
+                        item.offset = 0;
+                        return this.createUploadSession(state, item, storageKey);
+                    }
+                    throw error;
+                });
+        },
+        
+        createUploadSession: function(state, item, storageKey) {
+            return this.sendUploadRequest('POST', state.url, {
+                fieldId: state.fieldId,
+                formId: this.config.formId,
+                fileName: item.file.name,
+                fileSize: item.file.size,
+                contentType: item.file.type
+            })
+            .then(session => {
+                item.uploadId = session.uploadId;
+                item.offset = 0;
+                this.storeUploadId(storageKey, session.uploadId);
+            });
+        },
+        
+        uploadNextChunk: function(state, item) {
+            if (item.status === 'cancelled') return Promise.resolve();
+            
+            const start = item.offset;
+            const end = Math.min(start + this.config.fileUpload.chunkSize, item.file.size);
+            
+            return this.sendUploadChunk(state, item, start, end).then(result => {
+                item.offset = typeof result.receivedBytes === 'number' ? result.receivedBytes : end;
+                item.retries = 0;
+                
+                if (result.complete || item.offset >= item.file.size) {
+                    item.status = 'complete';
+                    item.fileId = result.fileId || item.uploadId;
+                    this.storeUploadId(this.getUploadStorageKey(state, item.file), null);
+                    this.updateUploadProgress(item, item.file.size);
+                    this.renderUploadItem(item);
+                    this.syncFileUploadValues(state);
+                    return;
+                }
+                
+                this.updateUploadProgress(item, item.offset);
+                return this.uploadNextChunk(state, item);
+            });
+        },
+        
+        // XHR rather than fetch: fetch cannot report upload progress
+        sendUploadChunk: function(state, item, start, end) {
+            return new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                item.xhr = xhr;
+                
+                xhr.open('PUT', `${state.url}/${encodeURIComponent(item.uploadId)}`);
+                Object.entries(this.getUploadHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+                xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+                xhr.setRequestHeader('Content-Range', end > start
+                    ? `bytes ${start}-${end - 1}/${item.file.size}`
+                    : `bytes */${item.file.size}`);
+                
+                xhr.upload.onprogress = e => {
+                    if (e.lengthComputable) {
+                        this.updateUploadProgress(item, start + e.loaded);
+                    }
+                };
+                
+                xhr.onload = () => {
+                    item.xhr = null;
+                    if (xhr.status >= 200 && xhr.status < 300) {
+                        try {
+                            resolve(xhr.responseText ? JSON.parse(xhr.responseText) : {});
+                        } catch (error) {
+                            resolve({});
+                        }
+                    } else {
+                        reject(this.createUploadError(xhr.status, xhr.statusText));
+                    }
+                };
+                xhr.onerror = () => {
+                    item.xhr = null;
+                    reject(this.createUploadError(0, 'Network error'));
+                };
+                xhr.onabort = () => {
+                    item.xhr = null;
+                    reject(this.createUploadError(0, 'Upload aborted'));
+                };
+                
+                xhr.send(item.file.slice(start, end));
+            });
+        },
+        
+        sendUploadRequest: function(method, url, body) {
+            const options = {
+                method: method,
+                headers: this.getUploadHeaders()
+            };
+            
+            if (body) {
+                options.headers['Content-Type'] = 'application/json';
+                options.body = JSON.stringify(body);
+            }
+            
+            return fetch(url, options)
+                .catch(() => {
+                    throw this.createUploadError(0, 'Network error');
+                })
+                .then(response => {
+                    if (!response.ok) {
+                        throw this.createUploadError(response.status, response.statusText);
+                    }
+                    return response.status === 204 ? {} : response.json();
+                });
+        },
+        
+        getUploadHeaders: function() {
+            const headers = { 'X-Requested-With': 'XMLHttpRequest' };
+            const token = this.getForm()?.querySelector('input[name="__RequestVerificationToken"]');
+            if (token) {
+                headers.RequestVerificationToken = token.value;
+            }
+            return headers;
+        },
+        
+        createUploadError: function(status, message) {
+            const error = new Error(message);
+            error.status = status;
+            return error;
+        },
+        
+        // Network drops and server hiccups are retried with backoff; other errors wait for the user
+        handleUploadError: function(state, item, error) {
+            if (item.status === 'cancelled') return item;
+            
+            const isRetryable = error.status === 0 || error.status >= 500 || [408, 409, 429].includes(error.status);
+            
+            if (isRetryable && navigator.onLine === false) {
+                item.status = 'paused';
+                this.renderUploadItem(item);
+                return new Promise(resolve => {
+                    item.resume = resolve;
+                }).then(() => this.uploadFileItem(state, item));
+            }
+            
+            if (isRetryable && item.retries < this.config.fileUpload.maxRetries) {
+                item.retries++;
+                item.status = 'retrying';
+                this.renderUploadItem(item);
+                
+                const delay = this.config.fileUpload.retryDelay * Math.pow(2, item.retries - 1);
+                return new Promise(resolve => setTimeout(resolve, delay))
+                    .then(() => this.uploadFileItem(state, item));
+            }
+            
+            console.error('File upload failed:', error);
+            item.status = 'error';
+            item.error = error;
+            this.renderUploadItem(item);
+            return item;
+        },
+        
+        resumePausedUploads: function() {
+            Object.values(this.fileUploads || {}).forEach(state => {
+                state.items
+                    .filter(item => item.status === 'paused' && item.resume)
+                    .forEach(item => {
+                        const resume = item.resume;
+                        item.resume = null;
+                        resume();
+                    });
+            });
+        },
+        
+        retryUpload: function(fieldId, itemId) {
+            const state = this.fileUploads?.[fieldId];
+            const item = state?.items.find(i => i.id === itemId);
+            if (!item || item.status !== 'error') return Promise.resolve(item);
+            
+            const fieldContainer = state.input.closest('[data-field-id]');
+            item.retries = 0;
+            this.showFileUploadProgress(fieldContainer, true);
+            
+            return this.uploadFileItem(state, item).then(result => {
+                this.showFileUploadProgress(fieldContainer, this.hasPendingUploads(state.input));
+                return result;
+            });
+        },
+        
+        cancelUpload: function(fieldId, itemId) {
+            const state = this.fileUploads?.[fieldId];
+            const item = state?.items.find(i => i.id === itemId);
+            if (!item) return;
+            
+            this.discardUploadItem(state, item);
+            state.input.value = '';
+            this.syncFileUploadValues(state);
+            this.showFileUploadProgress(state.input.closest('[data-field-id]'), this.hasPendingUploads(state.input));
+        },
+        
+        // Abort an item, drop its server session if unfinished and remove it from the preview
+        discardUploadItem: function(state, item) {
+            const wasComplete = item.status === 'complete';
+            item.status = 'cancelled';
+            
+            if (item.xhr) {
+                item.xhr.abort();
+            }
+            if (item.resume) {
+                // Let the paused upload settle now that it is cancelled
+                const resume = item.resume;
+                item.resume = null;
+                resume();
+            }
+            if (item.uploadId && !wasComplete) {
+                this.storeUploadId(this.getUploadStorageKey(state, item.file), null);
+                this.sendUploadRequest('DELETE', `${state.url}/${encodeURIComponent(item.uploadId)}`)
+                    .catch(error => console.warn('Could not cancel upload session:', error.message));
+            }
+            if (item.previewUrl) {
+                URL.revokeObjectURL(item.previewUrl);
+            }
+            
+            item.element.remove();
+            state.items = state.items.filter(i => i !== item);
+        },
+        
+        createUploadItem: function(state, file) {
+            const isFrench = this.config.language === 'FR';
+            const item = {
+                id: this.generateRecordId(),
+                file: file,
+                uploadId: null,
+                fileId: null,
+                offset: 0,
+                retries: 0,
+                status: 'queued',
+                error: null,
+                xhr: null,
+                resume: null,
+                previewUrl: null
+            };
+            
+            const element = document.createElement('div');
+            element.className = 'file-upload-item d-flex align-items-center';
+            element.setAttribute('data-upload-item', item.id);
+            
+            // Thumbnail for images, icon otherwise
+            if (file.type.startsWith('image/') && window.URL?.createObjectURL) {
+                item.previewUrl = URL.createObjectURL(file);
+                const thumbnail = document.createElement('img');
+                thumbnail.className = 'file-upload-thumbnail';
+                thumbnail.src = item.previewUrl;
+                thumbnail.alt = '';
+                element.appendChild(thumbnail);
+            } else {
+                const icon = document.createElement('i');
+                icon.className = `fas ${file.type === 'application/pdf' ? 'fa-file-pdf' : 'fa-file'} file-icon`;
+                icon.setAttribute('aria-hidden', 'true');
+                element.appendChild(icon);
+            }
+            
+            const body = document.createElement('div');
+            body.className = 'flex-grow-1';
+            
+            const name = document.createElement('div');
+            name.className = 'file-upload-name';
+            name.textContent = `${file.name} (${this.formatFileSize(file.size)})`;
+            body.appendChild(name);
+            
+            const progress = document.createElement('div');
+            progress.className = 'progress file-upload-progress';
+            const bar = document.createElement('div');
+            bar.className = 'progress-bar';
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-label', file.name);
+            bar.setAttribute('aria-valuemin', '0');
+            bar.setAttribute('aria-valuemax', '100');
+            bar.setAttribute('aria-valuenow', '0');
+            bar.style.width = '0%';
+            progress.appendChild(bar);
+            body.appendChild(progress);
+            
+            const status = document.createElement('small');
+            status.className = 'file-upload-status text-muted';
+            body.appendChild(status);
+            element.appendChild(body);
+            
+            const retryBtn = document.createElement('button');
+            retryBtn.type = 'button';
+            retryBtn.className = 'btn btn-sm btn-outline-primary ms-2 d-none';
+            retryBtn.textContent = isFrench ? 'Ressayer' : 'Retry';
+            retryBtn.addEventListener('click', () => this.retryUpload(state.fieldId, item.id));
+            element.appendChild(retryBtn);
+            
+            const cancelBtn = document.createElement('button');
+            cancelBtn.type = 'button';
+            cancelBtn.className = 'btn btn-sm btn-outline-danger ms-2';
+            cancelBtn.textContent = isFrench ? 'Annuler' : 'Cancel';
+            cancelBtn.addEventListener('click', () => this.cancelUpload(state.fieldId, item.id));
+            element.appendChild(cancelBtn);
+            
+            item.element = element;
+            item.bar = bar;
+            item.statusEl = status;
+            item.retryBtn = retryBtn;
+            item.cancelBtn = cancelBtn;
+            
+            state.preview.appendChild(element);
+            this.renderUploadItem(item);
+            
+            return item;
+        },
+        
+        updateUploadProgress: function(item, bytesSent) {
+            const percent = item.file.size > 0 ? Math.min(100, Math.round(bytesSent / item.file.size * 100)) : 100;
+            
+            item.bar.style.width = `${percent}%`;
+            item.bar.setAttribute('aria-valuenow', String(percent));
+            
+            if (item.status === 'uploading') {
+                item.statusEl.textContent = `${this.formatFileSize(Math.min(bytesSent, item.file.size))} / ${this.formatFileSize(item.file.size)}`;
+            }
+        },
+        
+        renderUploadItem: function(item) {
+            const isFrench = this.config.language === 'FR';
+            const statusText = {
+                queued: isFrench ? 'En attente...' : 'Waiting...',
+                uploading: isFrench ? 'Tlversement...' : 'Uploading...',
+                paused: isFrench ? 'Connexion perdue. Reprise automatique au retour du rseau.' : 'Connection lost. Upload will resume when you are back online.',
+                retrying: isFrench ? 'Problme de connexion, nouvelle tentative...' : 'Connection problem, retrying...',
+                complete: isFrench ? 'Tlvers' : 'Uploaded',
+                error: isFrench ? 'chec du tlversement.' : 'Upload failed.'
+            };
+            
+            item.statusEl.textContent = statusText[item.status] || '';
+            item.statusEl.classList.toggle('text-danger', item.status === 'error');
+            item.statusEl.classList.toggle('text-muted', item.status !== 'error');
+            
+            item.bar.classList.toggle('progress-bar-striped', item.status === 'uploading' || item.status === 'retrying');
+            item.bar.classList.toggle('progress-bar-animated', item.status === 'uploading');
+            item.bar.classList.toggle('bg-warning', item.status === 'paused' || item.status === 'retrying');
+            item.bar.classList.toggle('bg-danger', item.status === 'error');
+            item.bar.classList.toggle('bg-success', item.status === 'complete');
+            
+            item.retryBtn.classList.toggle('d-none', item.status !== 'error');
+            item.cancelBtn.textContent = item.status === 'complete'
+                ? (isFrench ? 'Retirer' : 'Remove')
+                : (isFrench ? 'Annuler' : 'Cancel');
+        },
+        
+        // Post the uploaded file references with the form and keep required state in sync
+        syncFileUploadValues: function(state) {
+            const values = state.existingValues.concat(state.items
+                .filter(item => item.status === 'complete')
+                .map(item => item.fileId));
+            
+            if (state.valuesContainer) {
+                const multiple = state.input.multiple;
+                const name = multiple
+                    ? state.valuesContainer.getAttribute('data-multi-value-name')
+                    : state.valuesContainer.getAttribute('data-value-name');
+                
+                state.valuesContainer.replaceChildren();
+                (multiple ? values : [values[0] || '']).forEach(value => {
+                    const hidden = document.createElement('input');
+                    hidden.type = 'hidden';
+                    hidden.name = name;
+                    hidden.value = value;
+                    state.valuesContainer.appendChild(hidden);
+                });
+            }
+            
+            state.input.required = state.required && values.length === 0;
+            this.handleConditionalLogic(state.fieldId, values);
+        },
+        
+        getUploadedFileValues: function(input) {
+            const fieldId = input.closest('[data-field-id]')?.getAttribute('data-field-id');
+            const state = this.fileUploads?.[fieldId];
+            if (!state) return [];
+            
+            return state.existingValues.concat(state.items
+                .filter(item => item.status === 'complete')
+                .map(item => item.fileId));
+        },
+        
+        hasPendingUploads: function(input) {
+            const fieldId = input.closest('[data-field-id]')?.getAttribute('data-field-id');
+            const state = this.fileUploads?.[fieldId];
+            
+            return !!state && state.items.some(item => ['queued', 'uploading', 'paused', 'retrying'].includes(item.status));
+        },
+        
+        // Upload sessions survive a page reload so re-selecting the same file resumes it
+        getUploadStorageKey: function(state, file) {
+            return `dynamicforms-upload:${this.config.formId || ''}:${state.fieldId}:${file.name}:${file.size}:${file.lastModified}`;
+        },
+        
+        readStoredUploadId: function(key) {
+            try {
+                return window.localStorage.getItem(key);
+            } catch (error) {
+                return null;
+            }
+        },
+        
+        storeUploadId: function(key, uploadId) {
+            try {
+                if (uploadId) {
+                    window.localStorage.setItem(key, uploadId);
+                } else {
+                    window.localStorage.removeItem(key);
+                }
+            } catch (error) {
+                // Storage unavailable (private mode); uploads still work, just without resume across reloads
+            }
+        },
+        
+        validateFile: function(file, input) {
+            const maxSize = input.getAttribute('data-max-size') || 10485760; // 10MB default
+            const allowedTypes = input.getAttribute('data-allowed-types');
+            
+            if (file.size > maxSize) {
+                alert(this.config.language === 'FR' 
+                    ? `Le fichier est trop volumineux. Taille maximale: ${this.formatFileSize(maxSize)}`
+                    : `File is too large. Maximum size: ${this.formatFileSize(maxSize)}`);
+                return false;
+            }
+            
+            if (allowedTypes) {
+                const types = allowedTypes.split(',')
+                    .map(t => t.trim().toLowerCase())
+                    .map(t => t.startsWith('.') || t.includes('/') ? t : '.' + t);
+                const fileType = file.type.toLowerCase();
+                const fileExt = '.' + file.name.split('.').pop().toLowerCase();
+                
+                if (!types.includes(fileType) && !types.includes(fileExt)) {
+                    alert(this.config.language === 'FR'
+                        ? `Type de fichier non autoris. Types autoriss: ${allowedTypes}`
+                        : `File type not allowed. Allowed types: ${allowedTypes}`);
+                    return false;
+                }
+            }
+            
+            return true;
+        },
+        
+        formatFileSize: function(bytes) {
+            if (bytes === 0) return '0 Bytes';
+            const k = 1024;
+            const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+            const i = Math.floor(Math.log(bytes) / Math.log(k));
+            return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        },
+        
+        // Date range picker (markup and initialize call emitted by DateRangePickerTagHelper)
+        DateRangePicker: {
+            // Picker state by container, so forms sharing a field id keep apart
+            pickers: new WeakMap(),
+            
+            // root: where to look for the markup (a form, when several hold the same field id)
+            initialize: function(fieldId, config, root) {
+                const startDate = (root || document).querySelector(`#${CSS.escape(`${fieldId}_start`)}`);
+                const container = startDate?.closest('.date-range-picker-container');
+                if (!container) {
+                    console.warn(`Date range picker ${fieldId} not found`);
+                    return null;
+                }
+                if (this.pickers.has(container)) return this.pickers.get(container);
+
+                const picker = {
+                    fieldId: fieldId,
+                    config: Object.assign({
+                        includeTime: false,
+                        minDate: null,
+                        maxDate: null,
+                        minRangeDays: null,
+                        maxRangeDays: null,
+                        allowSameDay: true,
+                        businessDaysOnly: false,
+                        language: 'EN'
+                    }, config),
+                    container: container,
+                    startDate: startDate,
+                    endDate: container.querySelector('[data-role="end-date"]'),
+                    startTime: container.querySelector('[data-role="start-time"]'),
+                    endTime: container.querySelector('[data-role="end-time"]'),
+                    rangeData: container.querySelector('.range-data'),
+                    durationDisplay: container.querySelector('.duration-display')
+                };
+                
+                this.pickers.set(container, picker);
+                
+                // Listeners belong to the owning instance, so its destroy() removes them
+                const owner = DynamicForms.instanceFor(container);
+                [picker.startDate, picker.endDate, picker.startTime, picker.endTime]
+                    .filter(Boolean)
+                    .forEach(input => owner.listen(input, 'change', () => this.handleChange(picker, input)));
+                
+                container.querySelectorAll('[data-preset]').forEach(button => {
+                    owner.listen(button, 'click', () => this.applyPreset(picker, button.getAttribute('data-preset')));
+                });
+                
+                const clearButton = container.querySelector('.clear-btn');
+                if (clearButton) owner.listen(clearButton, 'click', () => this.clear(picker));
+
+                this.updateBounds(picker);
+                this.update(picker);
+                
+                return picker;
+            },
+            
+            getInstanceFor: function(element) {
+                const container = element.closest('.date-range-picker-container');
+                return container ? this.pickers.get(container) || null : null;
+            },
+            
+            // Current range as local Date objects (null when unset)
+            getRange: function(fieldId, root) {
+                const startDate = (root || document).querySelector(`#${CSS.escape(`${fieldId}_start`)}`);
+                const picker = startDate ? this.getInstanceFor(startDate) : null;
+                if (!picker) return null;
+                
+                return {
+                    start: this.getDateTime(picker, 'start'),
+                    end: this.getDateTime(picker, 'end')
+                };
+            },
+            
+            handleChange: function(picker, input) {
+                // Keep the range ordered: moving the start past the end drags the end along
+                if (input === picker.startDate && picker.startDate.value && picker.endDate.value) {
+                    const start = this.parseDate(picker.startDate.value);
+                    const earliestEnd = this.addDays(start, picker.config.allowSameDay ? 0 : 1);
+                    
+                    if (this.parseDate(picker.endDate.value) < earliestEnd) {
+                        picker.endDate.value = this.formatDate(earliestEnd);
+                    }
+                }
+                
+                this.updateBounds(picker);
+                this.update(picker);
+                DynamicForms.instanceFor(input).validateField(input);
+            },
+            
+            applyPreset: function(picker, preset) {
+                if (preset === 'custom') {
+                    picker.startDate.focus();
+                    return;
+                }
+                
+                const range = this.getPresetRange(preset);
+                if (!range) return;
+                
+                // Presets snap inward to business days when weekends are not allowed
+                if (picker.config.businessDaysOnly) {
+                    while (this.isWeekend(range.start)) range.start = this.addDays(range.start, 1);
+                    while (this.isWeekend(range.end)) range.end = this.addDays(range.end, -1);
+                }
+                
+                picker.startDate.value = this.formatDate(range.start);
+                picker.endDate.value = this.formatDate(range.end);
+                
+                this.updateBounds(picker);
+                this.update(picker);
+                
+                picker.container.querySelectorAll('[data-preset]').forEach(button => {
+                    button.classList.toggle('active', button.getAttribute('data-preset') === preset);
+                });
+                
+                picker.startDate.dispatchEvent(new Event('change', { bubbles: true }));
+                picker.endDate.dispatchEvent(new Event('change', { bubbles: true }));
+            },
+            
+            // Same ranges as DateRangePickerConfiguration.GetPresetRange (weeks start on Sunday)
+            getPresetRange: function(preset) {
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+                const dayOfWeek = today.getDay();
+                
+                switch (preset.toLowerCase()) {
+                    case 'today':
+                        return { start: today, end: today };
+                    case 'tomorrow':
+                        return { start: this.addDays(today, 1), end: this.addDays(today, 1) };
+                    case 'thisweek':
+                        return { start: this.addDays(today, -dayOfWeek), end: this.addDays(today, 6 - dayOfWeek) };
+                    case 'nextweek':
+                        return { start: this.addDays(today, 7 - dayOfWeek), end: this.addDays(today, 13 - dayOfWeek) };
+                    case 'thismonth':
+                        return {
+                            start: new Date(today.getFullYear(), today.getMonth(), 1),
+                            end: new Date(today.getFullYear(), today.getMonth() + 1, 0)
+                        };
+                    case 'nextmonth':
+                        return {
+                            start: new Date(today.getFullYear(), today.getMonth() + 1, 1),
+                            end: new Date(today.getFullYear(), today.getMonth() + 2, 0)
+                        };
+                    case 'last7days':
+                        return { start: this.addDays(today, -7), end: today };
+                    case 'last30days':
+                        return { start: this.addDays(today, -30), end: today };
+                    default:
+                        return null;
+                }
+            },
+            
+            clear: function(picker) {
+                [picker.startDate, picker.endDate, picker.startTime, picker.endTime]
+                    .filter(Boolean)
+                    .forEach(input => {
+                        input.value = '';
+                    });
+                
+                picker.container.querySelectorAll('[data-preset]').forEach(button => button.classList.remove('active'));
+                
+                this.updateBounds(picker);
+                this.update(picker);
+                DynamicForms.instanceFor(picker.container).clearFieldValidation(picker.container);
+                
+                picker.startDate.dispatchEvent(new Event('change', { bubbles: true }));
+            },
+            
+            // Narrow the native min/max of each input to what the other end allows
+            updateBounds: function(picker) {
+                const config = picker.config;
+                const start = this.parseDate(picker.startDate.value);
+                const end = this.parseDate(picker.endDate.value);
+                const gap = config.allowSameDay ? 0 : 1;
+                
+                const endMin = start ? this.addDays(start, gap) : null;
+                const startMax = end ? this.addDays(end, -gap) : null;
+                
+                picker.endDate.min = this.formatDate(this.laterOf(endMin, this.parseDate(config.minDate))) || '';
+                picker.startDate.max = this.formatDate(this.earlierOf(startMax, this.parseDate(config.maxDate))) || '';
+            },
+            
+            // Refresh the hidden ISO value and the duration text
+            update: function(picker) {
+                const start = this.getDateTime(picker, 'start');
+                const end = this.getDateTime(picker, 'end');
+                const isValid = start && end && start <= end;
+                
+                if (picker.rangeData) {
+                    picker.rangeData.value = isValid
+                        ? `${this.formatDateTime(start)}/${this.formatDateTime(end)}`
+                        : '';
+                }
+                
+                if (picker.durationDisplay) {
+                    picker.durationDisplay.textContent = isValid ? this.getDurationText(picker, start, end) : '';
+                }
+            },
+            
+            getDurationText: function(picker, start, end) {
+                const isFrench = picker.config.language === 'FR';
+                const label = isFrench ? 'Dure' : 'Duration';
+                const days = this.daysBetween(start, end);
+                const hours = (end - start) / 3600000;
+                
+                if (picker.config.includeTime && hours > 0) {
+                    const unit = hours === 1 ? (isFrench ? 'heure' : 'hour') : (isFrench ? 'heures' : 'hours');
+                    return `${label}: ${hours.toFixed(1)} ${unit}`;
+                }
+                
+                if (days > 0) {
+                    const unit = days === 1 ? (isFrench ? 'jour' : 'day') : (isFrench ? 'jours' : 'days');
+                    let text = `${label}: ${days} ${unit}`;
+                    
+                    if (picker.config.businessDaysOnly) {
+                        const businessDays = this.countBusinessDays(start, end);
+                        text += isFrench ? ` (${businessDays} jours ouvrables)` : ` (${businessDays} business days)`;
+                    }
+                    return text;
+                }
+                
+                return '';
+            },
+            
+            // Range rules from the serialized configuration; returns localized messages
+            validate: function(picker) {
+                const config = picker.config;
+                const isFrench = config.language === 'FR';
+                const errors = [];
+                
+                const startDate = this.parseDate(picker.startDate.value);
+                const endDate = this.parseDate(picker.endDate.value);
+                
+                if (!startDate && !endDate) return errors;
+                
+                if (!startDate || !endDate) {
+                    errors.push(isFrench
+                        ? 'Veuillez saisir une date de dbut et une date de fin.'
+                        : 'Please enter both a start date and an end date.');
+                    return errors;
+                }
+                
+                const minDate = this.parseDate(config.minDate);
+                const maxDate = this.parseDate(config.maxDate);
+                
+                if (minDate && (startDate < minDate || endDate < minDate)) {
+                    errors.push(isFrench
+                        ? `Les dates ne peuvent pas tre antrieures au ${config.minDate}.`
+                        : `Dates cannot be before ${config.minDate}.`);
+                }
+                
+                if (maxDate && (startDate > maxDate || endDate > maxDate)) {
+                    errors.push(isFrench
+                        ? `Les dates ne peuvent pas tre postrieures au ${config.maxDate}.`
+                        : `Dates cannot be after ${config.maxDate}.`);
+                }
+                
+                if (endDate < startDate) {
+                    errors.push(isFrench
+                        ? 'La date de fin doit tre gale ou postrieure  la date de dbut.'
+                        : 'The end date must be on or after the start date.');
+                } else if (!config.allowSameDay && endDate.getTime() === startDate.getTime()) {
+                    errors.push(isFrench
+                        ? 'La date de fin doit tre postrieure  la date de dbut.'
+                        : 'The end date must be after the start date.');
+                } else {
+                    const start = this.getDateTime(picker, 'start');
+                    const end = this.getDateTime(picker, 'end');
+                    
+                    if (config.includeTime && end < start) {
+                        errors.push(isFrench
+                            ? "L'heure de fin doit tre postrieure  l'heure de dbut."
+                            : 'The end time must be after the start time.');
+                    }
+                }
+                
+                if (config.businessDaysOnly && (this.isWeekend(startDate) || this.isWeekend(endDate))) {
+                    errors.push(isFrench
+                        ? 'Les dates doivent tre des jours ouvrables (du lundi au vendredi).'
+                        : 'Dates must fall on business days (Monday to Friday).');
+                }
+                
+                const days = this.daysBetween(startDate, endDate);
+                
+                if (config.minRangeDays && days < config.minRangeDays) {
+                    errors.push(isFrench
+                        ? `La priode doit tre d'au moins ${config.minRangeDays} jour(s).`
+                        : `The range must be at least ${config.minRangeDays} day(s).`);
+                }
+                
+                if (config.maxRangeDays && days > config.maxRangeDays) {
+                    errors.push(isFrench
+                        ? `La priode ne peut pas dpasser ${config.maxRangeDays} jour(s).`
+                        : `The range cannot exceed ${config.maxRangeDays} day(s).`);
+                }
+                
+                return errors;
+            },
+            
+            // Date helpers: dates are local, day-precision unless a time input is present
+            getDateTime: function(picker, which) {
+                const date = this.parseDate(picker[`${which}Date`].value);
+                if (!date) return null;
+                
+                const timeInput = picker.config.includeTime ? picker[`${which}Time`] : null;
+                if (timeInput && timeInput.value) {
+                    const [hours, minutes] = timeInput.value.split(':').map(Number);
+                    date.setHours(hours, minutes, 0, 0);
+                }
+                return date;
+            },
+            
+            parseDate: function(value) {
+                const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+                return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+            },
+            
+            formatDate: function(date) {
+                if (!date) return null;
+                const pad = n => String(n).padStart(2, '0');
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            },
+            
+            formatDateTime: function(date) {
+                const pad = n => String(n).padStart(2, '0');
+                return `${this.formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+            },
+            
+            addDays: function(date, days) {
+                const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+                result.setDate(result.getDate() + days);
+                return result;
+            },
+            
+            daysBetween: function(start, end) {
+                const startDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+                const endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+                return Math.round((endDay - startDay) / 86400000);
+            },
+            
+            countBusinessDays: function(start, end) {
+                let count = 0;
+                for (let day = this.addDays(start, 0); day <= end; day = this.addDays(day, 1)) {
+                    if (!this.isWeekend(day)) count++;
+                }
+                return count;
+            },
+            
+            isWeekend: function(date) {
+                return date.getDay() === 0 || date.getDay() === 6;
+            },
+            
+            laterOf: function(a, b) {
+                if (!a) return b;
+                if (!b) return a;
+                return a > b ? a : b;
+            },
+            
+            earlierOf: function(a, b) {
+                if (!a) return b;
+                if (!b) return a;
+                return a < b ? a : b;
+            }
+        },
+        
+        // AutoComplete functions. Markup: a text input carrying the serialized V4
+        // AutoCompleteConfig in data-autocomplete, plus hidden [data-autocomplete-value]
+        // and [data-autocomplete-display] inputs in the same field container (created when
+        // missing; a created value input takes over the text input's name).
+        initializeAutoCompletes: function() {
+            this.autoCompletes = {};
+            this.autoCompleteCache = {};
+            
+            const form = this.getForm();
+            if (!form) return;
+            
+            form.querySelectorAll('input[data-autocomplete]').forEach((input, index) => {
+                let config;
+                try {
+                    config = JSON.parse(input.getAttribute('data-autocomplete'));
+                } catch (error) {
+                    console.warn('Invalid autocomplete configuration:', error);
+                    return;
+                }
+                
+                if (!input.id) {
+                    input.id = `autocomplete_${index}`;
+                }
+                this.setupAutoComplete(input, config);
+            });
+        },
+        
+        setupAutoComplete: function(input, config) {
+            const container = input.closest('[data-field-id]') || input.parentElement;
+            const listboxId = `${input.id}_listbox`;
+            
+            const widget = {
+                input: input,
+                container: container,
+                config: {
+                    dataSourceUrl: this.getSchemaValue(config, 'DataSourceUrl'),
+                    queryParameter: this.getSchemaValue(config, 'QueryParameter') || 'q',
+                    minCharacters: this.getSchemaValue(config, 'MinCharacters') ?? 3,
+                    valueField: this.getSchemaValue(config, 'ValueField'),
+                    displayField: this.getSchemaValue(config, 'DisplayField'),
+                    itemTemplate: this.getSchemaValue(config, 'ItemTemplate')
+                },
+                valueInput: container.querySelector('[data-autocomplete-value]') || this.createAutoCompleteValueInput(input, container),
+                displayInput: container.querySelector('[data-autocomplete-display]') || this.createHiddenInput(container, 'data-autocomplete-display'),
+                items: [],
+                activeIndex: -1,
+                debounceTimer: null,
+                controller: null
+            };
+            
+            // ARIA 1.2 combobox pattern
+            const listbox = document.createElement('ul');
+            listbox.id = listboxId;
+            listbox.className = 'autocomplete-results list-group d-none';
+            listbox.setAttribute('role', 'listbox');
+            
+            const label = container.querySelector(`label[for="${CSS.escape(input.id)}"]`);
+            if (label) {
+                if (!label.id) label.id = `${input.id}_label`;
+                listbox.setAttribute('aria-labelledby', label.id);
+            }
+            
+            const status = document.createElement('div');
+            status.className = 'sr-only visually-hidden';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+            
+            input.insertAdjacentElement('afterend', listbox);
+            listbox.insertAdjacentElement('afterend', status);
+            input.parentElement.classList.add('autocomplete-container');
+            
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-expanded', 'false');
+            input.setAttribute('aria-controls', listboxId);
+            input.setAttribute('autocomplete', 'off');
+            
+            widget.listbox = listbox;
+            widget.status = status;
+            
+            // A value rendered by the server counts as a selection
+            if (widget.valueInput.value) {
+                widget.selectedDisplay = widget.displayInput.value || input.value;
+                if (!input.value) input.value = widget.selectedDisplay;
+            }
+            
+            this.listen(input, 'input', () => this.handleAutoCompleteInput(widget));
+            this.listen(input, 'keydown', e => this.handleAutoCompleteKeydown(widget, e));
+            this.listen(input, 'blur', () => this.closeAutoComplete(widget));
+            
+            // mousedown keeps focus in the input so blur doesn't close the list first
+            this.listen(listbox, 'mousedown', e => {
+                const option = e.target.closest('[role="option"]');
+                if (!option) return;
+                
+                e.preventDefault();
+                this.selectAutoCompleteItem(widget, Number(option.getAttribute('data-index')));
+            });
+            
+            this.autoCompletes[input.id] = widget;
+            return widget;
+        },
+        
+        createHiddenInput: function(container, marker) {
+            const hidden = document.createElement('input');
+            hidden.type = 'hidden';
+            hidden.setAttribute(marker, '');
+            container.appendChild(hidden);
+            return hidden;
+        },
+        
+        // The selected value is what gets posted, not the typed text: the value input takes
+        // the text input's name, and its rendered value as the current selection
+        createAutoCompleteValueInput: function(input, container) {
+            const hidden = this.createHiddenInput(container, 'data-autocomplete-value');
+            if (input.name) {
+                hidden.name = input.name;
+                hidden.value = input.value;
+                input.removeAttribute('name');
+            }
+            return hidden;
+        },
+        
+        clearAutoCompleteSelection: function(widget) {
+            widget.valueInput.value = '';
+            widget.displayInput.value = '';
+            widget.selectedDisplay = null;
+        },
+        
+        handleAutoCompleteInput: function(widget) {
+            const term = widget.input.value.trim();
+            
+            // Editing the text invalidates the previous selection
+            if (term !== widget.selectedDisplay) {
+                this.clearAutoCompleteSelection(widget);
+            }
+            
+            clearTimeout(widget.debounceTimer);
+            
+            if (term.length < widget.config.minCharacters) {
+                this.abortAutoCompleteRequest(widget);
+                this.closeAutoComplete(widget);
+                return;
+            }
+            
+            widget.debounceTimer = setTimeout(() => this.searchAutoComplete(widget, term), this.config.autoComplete.debounce);
+        },
+        
+        searchAutoComplete: function(widget, term) {
+            const url = new URL(widget.config.dataSourceUrl, window.location.href);
+            url.searchParams.set(widget.config.queryParameter, term);
+            const cacheKey = url.toString();
+            
+            this.abortAutoCompleteRequest(widget);
+            
+            if (this.autoCompleteCache[cacheKey]) {
+                this.renderAutoCompleteResults(widget, this.autoCompleteCache[cacheKey]);
+                return Promise.resolve(this.autoCompleteCache[cacheKey]);
+            }
+            
+            widget.controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            widget.input.setAttribute('aria-busy', 'true');
+            
+            return fetch(cacheKey, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                },
+                signal: widget.controller?.signal
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const items = Array.isArray(data) ? data : (this.getSchemaValue(data, 'Items') || []);
+                this.autoCompleteCache[cacheKey] = items;
+                
+                // Ignore results for a term the user has already typed past
+                if (widget.input.value.trim() === term) {
+                    this.renderAutoCompleteResults(widget, items);
+                }
+                return items;
+            })
+            .catch(error => {
+                if (error.name !== 'AbortError') {
+                    console.error('Autocomplete search failed:', error);
+                }
+                return [];
+            })
+            .finally(() => {
+                widget.controller = null;
+                widget.input.removeAttribute('aria-busy');
+            });
+        },
+        
+        abortAutoCompleteRequest: function(widget) {
+            if (widget.controller) {
+                widget.controller.abort();
+                widget.controller = null;
+            }
+        },
+        
+        renderAutoCompleteResults: function(widget, items) {
+            const isFrench = this.config.language === 'FR';
+            
+            widget.items = items;
+            widget.activeIndex = -1;
+            widget.listbox.replaceChildren();
+            widget.input.removeAttribute('aria-activedescendant');
+            
+            if (items.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'list-group-item text-muted';
+                empty.textContent = isFrench ? 'Aucun rsultat' : 'No results';
+                widget.listbox.appendChild(empty);
+            }
+            
+            items.forEach((item, index) => {
+                const option = document.createElement('li');
+                option.id = `${widget.listbox.id}_option_${index}`;
+                option.className = 'list-group-item list-group-item-action';
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+                option.setAttribute('data-index', String(index));
+                
+                if (widget.config.itemTemplate) {
+                    this.Dom.setHtml(option, this.renderItemTemplate(widget.config.itemTemplate, item));
+                } else {
+                    option.textContent = this.getItemProperty(item, widget.config.displayField) ?? '';
+                }
+                
+                widget.listbox.appendChild(option);
+            });
+            
+            widget.listbox.classList.remove('d-none');
+            widget.input.setAttribute('aria-expanded', 'true');
+            widget.status.textContent = isFrench
+                ? `${items.length} rsultat(s) disponible(s).`
+                : `${items.length} result(s) available.`;
+        },
+        
+        // {{Property}} placeholders (dotted paths allowed); values are HTML-escaped,
+        // the template markup itself comes from the form schema
+        renderItemTemplate: function(template, item) {
+            return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+                const value = this.getItemProperty(item, path);
+                return this.escapeHtml(value === null || value === undefined ? '' : String(value));
+            });
+        },
+        
+        getItemProperty: function(item, path) {
+            if (!path) return undefined;
+            return path.split('.').reduce((value, name) => this.getSchemaValue(value, name), item);
+        },
+        
+        escapeHtml: function(text) {
+            return text
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+        
+        // InfoBox content: DescriptionHtmlEn/Fr goes through the sanitizer, DescriptionEn/Fr is plain text
+        renderInfoBoxContent: function(element, field, language) {
+            const isFrench = (language || this.config.language) === 'FR';
+            const html = isFrench
+                ? this.getSchemaValue(field, 'DescriptionHtmlFr') || this.getSchemaValue(field, 'DescriptionHtmlEn')
+                : this.getSchemaValue(field, 'DescriptionHtmlEn');
+            if (html) {
+                return this.Dom.setHtml(element, html);
+            }
+            
+            element.textContent = (isFrench
+                ? this.getSchemaValue(field, 'DescriptionFr') || this.getSchemaValue(field, 'DescriptionEn')
+                : this.getSchemaValue(field, 'DescriptionEn')) || '';
+            return element;
+        },
+        
+        handleAutoCompleteKeydown: function(widget, e) {
+            const isOpen = widget.input.getAttribute('aria-expanded') === 'true';
+            
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (!isOpen && widget.items.length > 0) {
+                        this.renderAutoCompleteResults(widget, widget.items);
+                    }
+                    this.setActiveAutoCompleteItem(widget, Math.min(widget.activeIndex + 1, widget.items.length - 1));
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.setActiveAutoCompleteItem(widget, Math.max(widget.activeIndex - 1, 0));
+                    break;
+                case 'Enter':
+                    // Don't submit the form while choosing from the list
+                    if (isOpen && widget.activeIndex >= 0) {
+                        e.preventDefault();
+                        this.selectAutoCompleteItem(widget, widget.activeIndex);
+                    }
+                    break;
+                case 'Escape':
+                    if (isOpen) {
+                        e.preventDefault();
+                        this.closeAutoComplete(widget);
+                    }
+                    break;
+            }
+        },
+        
+        setActiveAutoCompleteItem: function(widget, index) {
+            const options = widget.listbox.querySelectorAll('[role="option"]');
+            if (options.length === 0) return;
+            
+            widget.activeIndex = index;
+            options.forEach((option, i) => {
+                option.classList.toggle('active', i === index);
+                option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+            });
+            
+            const active = options[index];
+            widget.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView?.({ block: 'nearest' });
+        },
+        
+        selectAutoCompleteItem: function(widget, index) {
+            const item = widget.items[index];
+            if (!item) return;
+            
+            const value = this.getItemProperty(item, widget.config.valueField);
+            const display = this.getItemProperty(item, widget.config.displayField);
+            
+            widget.valueInput.value = value ?? '';
+            widget.displayInput.value = display ?? '';
+            widget.input.value = display ?? '';
+            widget.selectedDisplay = widget.input.value.trim();
+            
+            this.closeAutoComplete(widget);
+            
+            // Let validation, conditional logic and auto-save see the new value
+            widget.input.dispatchEvent(new Event('change', { bubbles: true }));
+        },
+        
+        closeAutoComplete: function(widget) {
+            widget.activeIndex = -1;
+            widget.listbox.classList.add('d-none');
+            widget.input.setAttribute('aria-expanded', 'false');
+            widget.input.removeAttribute('aria-activedescendant');
+        },
+        
+        // DataGrid functions. Markup: an element carrying the serialized V4 DataGridConfig
+        // in data-datagrid, optional initial rows in data-datagrid-rows and the posted
+        // field name in data-datagrid-name; rows post as name[index].ColumnId.
+        initializeTableFields: function() {
+            this.dataGrids = {};
+            
+            const form = this.getForm();
+            if (!form) return;
+            
+            form.querySelectorAll('[data-datagrid]').forEach(element => {
+                let config;
+                try {
+                    config = JSON.parse(element.getAttribute('data-datagrid'));
+                } catch (error) {
+                    console.warn('Invalid data grid configuration:', error);
+                    return;
+                }
+                this.setupDataGrid(element, config);
+            });
+        },
+        
+        setupDataGrid: function(element, config) {
+            const gridId = element.closest('[data-field-id]')?.getAttribute('data-field-id') || element.id;
+            const isFrench = this.config.language === 'FR';
+            
+            let rows = [];
+            try {
+                rows = JSON.parse(element.getAttribute('data-datagrid-rows') || '[]');
+            } catch (error) {
+                console.warn(`Invalid rows for data grid ${gridId}:`, error);
+            }
+            
+            const grid = {
+                id: gridId,
+                element: element,
+                namePrefix: element.getAttribute('data-datagrid-name') || gridId,
+                isReadOnly: element.hasAttribute('data-readonly'),
+                allowAdd: this.getSchemaValue(config, 'AllowAdd') !== false,
+                allowEdit: this.getSchemaValue(config, 'AllowEdit') !== false,
+                allowDelete: this.getSchemaValue(config, 'AllowDelete') !== false,
+                maxRows: this.getSchemaValue(config, 'MaxRows') || null,
+                editorMode: String(this.getSchemaValue(config, 'EditorMode') || 'Modal').toLowerCase() === 'inline' ? 'inline' : 'modal',
+                columns: (this.getSchemaValue(config, 'Columns') || [])
+                    .filter(column => this.getSchemaValue(column, 'IsVisible') !== false)
+                    .sort((a, b) => (this.getSchemaValue(a, 'Order') || 0) - (this.getSchemaValue(b, 'Order') || 0)),
+                rows: rows.map(values => ({ key: this.generateRecordId(), values: values || {}, isNew: false })),
+                editingKey: null
+            };
+            
+            element.classList.add('datagrid-field');
+            element.replaceChildren();
+            
+            // Toolbar
+            if (grid.allowAdd && !grid.isReadOnly) {
+                const toolbar = document.createElement('div');
+                toolbar.className = 'mb-2';
+                grid.addButton = document.createElement('button');
+                grid.addButton.type = 'button';
+                grid.addButton.className = 'btn btn-sm btn-primary';
+                grid.addButton.setAttribute('data-grid-action', 'add');
+                grid.addButton.textContent = isFrench ? 'Ajouter une ligne' : 'Add row';
+                toolbar.appendChild(grid.addButton);
+                
+                grid.limitMessage = document.createElement('small');
+                grid.limitMessage.className = 'text-muted ms-2 d-none';
+                grid.limitMessage.textContent = isFrench
+                    ? `Maximum de ${grid.maxRows} ligne(s) atteint.`
+                    : `Maximum of ${grid.maxRows} row(s) reached.`;
+                toolbar.appendChild(grid.limitMessage);
+                element.appendChild(toolbar);
+            }
+            
+            // Table
+            const responsive = document.createElement('div');
+            responsive.className = 'table-responsive';
+            const table = document.createElement('table');
+            table.className = 'table table-sm table-bordered align-middle';
+            const thead = document.createElement('thead');
+            const headerRow = document.createElement('tr');
+            
+            grid.columns.forEach(column => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = this.getSchemaLabel(column);
+                if (this.getSchemaValue(this.getSchemaValue(column, 'Validation'), 'IsRequired')) {
+                    const required = document.createElement('span');
+                    required.className = 'text-danger ms-1';
+                    required.textContent = '*';
+                    th.appendChild(required);
+                }
+                headerRow.appendChild(th);
+            });
+            
+            if (this.hasDataGridActions(grid)) {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.className = 'text-center';
+                th.textContent = 'Actions';
+                headerRow.appendChild(th);
+            }
+            
+            thead.appendChild(headerRow);
+            table.appendChild(thead);
+            grid.tbody = document.createElement('tbody');
+            table.appendChild(grid.tbody);
+            responsive.appendChild(table);
+            element.appendChild(responsive);
+            
+            grid.emptyMessage = document.createElement('div');
+            grid.emptyMessage.className = 'alert alert-info datagrid-empty';
+            grid.emptyMessage.textContent = isFrench ? 'Aucune ligne.' : 'No rows.';
+            element.appendChild(grid.emptyMessage);
+            
+            grid.dataContainer = document.createElement('div');
+            grid.dataContainer.setAttribute('data-datagrid-data', '');
+            element.appendChild(grid.dataContainer);
+            
+            if (grid.editorMode === 'modal' && !grid.isReadOnly) {
+                grid.editor = this.createDataGridEditor(grid);
+                element.appendChild(grid.editor);
+            }
+            
+            this.listen(element, 'click', e => this.handleDataGridAction(grid, e));
+            
+            // Inline edits flow straight into the row state
+            const syncInlineCell = e => {
+                const cell = e.target.closest('[data-grid-cell]');
+                const rowElement = e.target.closest('tr[data-row-key]');
+                if (!cell || !rowElement || !grid.tbody.contains(rowElement)) return;
+                
+                const row = grid.rows.find(r => r.key === rowElement.getAttribute('data-row-key'));
+                if (row) {
+                    row.values[cell.getAttribute('data-grid-cell')] = this.readFieldValue(cell);
+                    this.serializeDataGrid(grid);
+                }
+            };
+            this.listen(element, 'input', syncInlineCell);
+            this.listen(element, 'change', syncInlineCell);
+            
+            this.dataGrids[gridId] = grid;
+            this.renderDataGrid(grid);
+            
+            return grid;
+        },
+        
+        hasDataGridActions: function(grid) {
+            return !grid.isReadOnly && ((grid.editorMode === 'modal' && grid.allowEdit) || grid.allowDelete);
+        },
+        
+        handleDataGridAction: function(grid, e) {
+            const button = e.target.closest('[data-grid-action]');
+            if (!button || !grid.element.contains(button)) return;
+            
+            const rowKey = button.closest('tr[data-row-key]')?.getAttribute('data-row-key');
+            
+            switch (button.getAttribute('data-grid-action')) {
+                case 'add':
+                    this.addDataGridRow(grid);
+                    break;
+                case 'edit':
+                    this.editDataGridRow(grid, rowKey);
+                    break;
+                case 'delete':
+                    this.deleteDataGridRow(grid, rowKey);
+                    break;
+                case 'save':
+                    this.saveDataGridRow(grid);
+                    break;
+            }
+        },
+        
+        addDataGridRow: function(grid) {
+            if (grid.maxRows && grid.rows.length >= grid.maxRows) return;
+            
+            if (grid.editorMode === 'modal') {
+                grid.editingKey = null;
+                this.resetDataGridEditor(grid, {});
+                grid.editorTitle.textContent = this.config.language === 'FR' ? 'Ajouter une ligne' : 'Add row';
+                this.showModal(grid.editor);
+                return;
+            }
+            
+            const row = { key: this.generateRecordId(), values: this.getDataGridDefaults(grid), isNew: true };
+            grid.rows.push(row);
+            this.renderDataGrid(grid);
+            
+            const rowElement = grid.tbody.querySelector(`tr[data-row-key="${CSS.escape(row.key)}"]`);
+            rowElement?.querySelector('input, select, textarea')?.focus();
+        },
+        
+        editDataGridRow: function(grid, rowKey) {
+            const row = grid.rows.find(r => r.key === rowKey);
+            if (!row || !grid.editor) return;
+            
+            grid.editingKey = rowKey;
+            this.resetDataGridEditor(grid, row.values);
+            grid.editorTitle.textContent = this.config.language === 'FR' ? 'Modifier la ligne' : 'Edit row';
+            this.showModal(grid.editor);
+        },
+        
+        saveDataGridRow: function(grid) {
+            const cells = Array.from(grid.editor.querySelectorAll('[data-grid-cell]'));
+            if (!this.validateDataGridCells(cells)) return;
+            
+            const values = {};
+            cells.forEach(cell => {
+                values[cell.getAttribute('data-grid-cell')] = this.readFieldValue(cell);
+            });
+            
+            const existing = grid.rows.find(r => r.key === grid.editingKey);
+            if (existing) {
+                existing.values = values;
+            } else if (!grid.maxRows || grid.rows.length < grid.maxRows) {
+                grid.rows.push({ key: this.generateRecordId(), values: values, isNew: true });
+            }
+            
+            grid.editingKey = null;
+            this.renderDataGrid(grid);
+            this.hideModal(grid.editor);
+        },
+        
+        deleteDataGridRow: function(grid, rowKey) {
+            const message = this.config.language === 'FR'
+                ? 'tes-vous sr de vouloir supprimer cette ligne ?'
+                : 'Are you sure you want to delete this row?';
+            if (!confirm(message)) return;
+            
+            grid.rows = grid.rows.filter(r => r.key !== rowKey);
+            this.renderDataGrid(grid);
+        },
+        
+        // Same validators as top-level fields, one cell at a time
+        validateDataGridCells: function(cells) {
+            let isValid = true;
+            cells.forEach(cell => {
+                this.getFieldInputs(cell).forEach(input => {
+                    if (!this.validateField(input)) {
+                        isValid = false;
+                    }
+                });
+            });
+            return isValid;
+        },
+        
+        // Validate every row of a grid (inline rows in place)
+        validateDataGrid: function(gridId) {
+            const grid = this.dataGrids?.[gridId];
+            if (!grid) return true;
+            
+            return this.validateDataGridCells(Array.from(grid.tbody.querySelectorAll('[data-grid-cell]')));
+        },
+        
+        renderDataGrid: function(grid) {
+            const isFrench = this.config.language === 'FR';
+            
+            grid.tbody.replaceChildren();
+            
+            grid.rows.forEach(row => {
+                const tr = document.createElement('tr');
+                tr.setAttribute('data-row-key', row.key);
+                
+                const isEditable = grid.editorMode === 'inline' && !grid.isReadOnly && (grid.allowEdit || row.isNew);
+                
+                grid.columns.forEach(column => {
+                    const columnId = this.getSchemaValue(column, 'Id');
+                    const td = document.createElement('td');
+                    
+                    if (isEditable) {
+                        const cell = this.createColumnEditor(grid, column, row.key, false);
+                        this.writeFieldValue(cell, row.values[columnId] ?? null);
+                        td.appendChild(cell);
+                    } else {
+                        const display = this.getColumnDisplayValue(column, row.values[columnId]);
+                        if (display) {
+                            td.textContent = display;
+                        } else {
+                            const empty = document.createElement('span');
+                            empty.className = 'text-muted';
+                            empty.textContent = '-';
+                            td.appendChild(empty);
+                        }
+                    }
+                    tr.appendChild(td);
+                });
+                
+                if (this.hasDataGridActions(grid)) {
+                    const actions = document.createElement('td');
+                    actions.className = 'text-center text-nowrap';
+                    
+                    if (grid.editorMode === 'modal' && grid.allowEdit) {
+                        actions.appendChild(this.createDataGridButton('edit', 'btn-outline-primary me-1', 'fa-edit', isFrench ? 'Modifier' : 'Edit'));
+                    }
+                    if (grid.allowDelete) {
+                        actions.appendChild(this.createDataGridButton('delete', 'btn-outline-danger', 'fa-trash', isFrench ? 'Supprimer' : 'Delete'));
+                    }
+                    tr.appendChild(actions);
+                }
+                
+                grid.tbody.appendChild(tr);
+            });
+            
+            const atLimit = !!grid.maxRows && grid.rows.length >= grid.maxRows;
+            if (grid.addButton) {
+                grid.addButton.disabled = atLimit;
+                grid.limitMessage.classList.toggle('d-none', !atLimit);
+            }
+            
+            grid.emptyMessage.classList.toggle('d-none', grid.rows.length > 0);
+            this.serializeDataGrid(grid);
+        },
+        
+        createDataGridButton: function(action, className, icon, title) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn btn-sm ${className}`;
+            button.title = title;
+            button.setAttribute('aria-label', title);
+            button.setAttribute('data-grid-action', action);
+            
+            const iconEl = document.createElement('i');
+            iconEl.className = `fas ${icon}`;
+            iconEl.setAttribute('aria-hidden', 'true');
+            button.appendChild(iconEl);
+            
+            return button;
+        },
+        
+        // Bootstrap modal holding one editor per column; its inputs never post with the form
+        createDataGridEditor: function(grid) {
+            const isFrench = this.config.language === 'FR';
+            const titleId = `${grid.id}_editor_title`;
+            
+            const modal = document.createElement('div');
+            modal.className = 'modal fade';
+            modal.tabIndex = -1;
+            modal.setAttribute('aria-hidden', 'true');
+            modal.setAttribute('aria-labelledby', titleId);
+            
+            const dialog = document.createElement('div');
+            dialog.className = 'modal-dialog modal-lg';
+            const content = document.createElement('div');
+            content.className = 'modal-content';
+            
+            const header = document.createElement('div');
+            header.className = 'modal-header';
+            grid.editorTitle = document.createElement('h5');
+            grid.editorTitle.className = 'modal-title';
+            grid.editorTitle.id = titleId;
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'btn-close';
+            close.setAttribute('data-bs-dismiss', 'modal');
+            close.setAttribute('aria-label', isFrench ? 'Fermer' : 'Close');
+            header.appendChild(grid.editorTitle);
+            header.appendChild(close);
+            
+            const body = document.createElement('div');
+            body.className = 'modal-body';
+            grid.columns.forEach(column => body.appendChild(this.createColumnEditor(grid, column, 'editor', true)));
+            body.querySelectorAll('input, select, textarea').forEach(input => {
+                input.setAttribute('form', `${grid.id}_editor`);
+            });
+            
+            const footer = document.createElement('div');
+            footer.className = 'modal-footer';
+            const cancel = document.createElement('button');
+            cancel.type = 'button';
+            cancel.className = 'btn btn-secondary';
+            cancel.setAttribute('data-bs-dismiss', 'modal');
+            cancel.textContent = isFrench ? 'Annuler' : 'Cancel';
+            const save = document.createElement('button');
+            save.type = 'button';
+            save.className = 'btn btn-primary';
+            save.setAttribute('data-grid-action', 'save');
+            save.textContent = isFrench ? 'Sauvegarder' : 'Save';
+            footer.appendChild(cancel);
+            footer.appendChild(save);
+            
+            content.appendChild(header);
+            content.appendChild(body);
+            content.appendChild(footer);
+            dialog.appendChild(content);
+            modal.appendChild(dialog);
+            
+            return modal;
+        },
+        
+        resetDataGridEditor: function(grid, values) {
+            grid.editor.querySelectorAll('[data-grid-cell]').forEach(cell => {
+                const columnId = cell.getAttribute('data-grid-cell');
+                this.writeFieldValue(cell, Object.prototype.hasOwnProperty.call(values, columnId)
+                    ? values[columnId]
+                    : this.getDataGridDefaults(grid)[columnId] ?? null);
+                this.clearFieldValidation(cell);
+            });
+        },
+        
+        getDataGridDefaults: function(grid) {
+            const defaults = {};
+            grid.columns.forEach(column => {
+                const defaultOption = (this.getSchemaValue(column, 'Options') || [])
+                    .find(option => this.getSchemaValue(option, 'IsDefault'));
+                if (defaultOption) {
+                    defaults[this.getSchemaValue(column, 'Id')] = this.getSchemaValue(defaultOption, 'Value');
+                }
+            });
+            return defaults;
+        },
+        
+        // Editor for one V4 column schema, wrapped in a [data-field-id] container so
+        // the regular validators and error display apply
+        createColumnEditor: function(grid, column, rowKey, withLabel) {
+            const isFrench = this.config.language === 'FR';
+            const columnId = this.getSchemaValue(column, 'Id');
+            const fieldType = String(this.getSchemaValue(column, 'FieldType') || 'TextBox').toLowerCase();
+            const label = this.getSchemaLabel(column);
+            const inputId = `${grid.id}_${rowKey}_${columnId}`;
+            
+            const container = document.createElement('div');
+            container.setAttribute('data-field-id', inputId);
+            container.setAttribute('data-grid-cell', columnId);
+            if (withLabel) {
+                container.className = 'mb-3';
+            }
+            
+            let input;
+            switch (fieldType) {
+                case 'textarea':
+                    input = document.createElement('textarea');
+                    input.className = 'form-control';
+                    input.rows = withLabel ? 3 : 1;
+                    break;
+                
+                case 'dropdown':
+                case 'dropdownlist':
+                case 'radiobuttonlist':
+                case 'checkboxlist':
+                    input = document.createElement('select');
+                    input.className = 'form-select';
+                    input.multiple = fieldType === 'checkboxlist';
+                    if (!input.multiple) {
+                        const placeholder = document.createElement('option');
+                        placeholder.value = '';
+                        placeholder.textContent = isFrench ? '-- Veuillez slectionner --' : '-- Please Select --';
+                        input.appendChild(placeholder);
+                    }
+                    this.getSchemaOptions(column).forEach(option => {
+                        const optionEl = document.createElement('option');
+                        optionEl.value = this.getSchemaValue(option, 'Value');
+                        optionEl.textContent = this.getOptionLabel(option);
+                        input.appendChild(optionEl);
+                    });
+                    break;
+                
+                case 'checkbox':
+                    input = document.createElement('input');
+                    input.type = 'checkbox';
+                    input.className = 'form-check-input';
+                    input.value = 'true';
+                    break;
+                
+                default:
+                    input = document.createElement('input');
+                    input.type = INPUT_FIELD_TYPES[fieldType] || 'text';
+                    input.className = 'form-control';
+                    break;
+            }
+            
+            input.id = inputId;
+            
+            const placeholder = isFrench
+                ? this.getSchemaValue(column, 'PlaceholderFr') || this.getSchemaValue(column, 'PlaceholderEn')
+                : this.getSchemaValue(column, 'PlaceholderEn');
+            if (placeholder && input.tagName !== 'SELECT') input.placeholder = placeholder;
+            
+            this.applySchemaValidation(container, column, input);
+            
+            if (this.getSchemaValue(column, 'IsReadOnly')) {
+                this.applySchemaReadOnly(input);
+            }
+            
+            if (fieldType === 'checkbox') {
+                const check = document.createElement('div');
+                check.className = 'form-check';
+                check.appendChild(input);
+                if (withLabel) {
+                    const labelEl = document.createElement('label');
+                    labelEl.className = 'form-check-label';
+                    labelEl.htmlFor = inputId;
+                    labelEl.textContent = label;
+                    check.appendChild(labelEl);
+                } else {
+                    input.setAttribute('aria-label', label);
+                }
+                container.appendChild(check);
+                this.applyColumnAccessibility(container, column);
+                return container;
+            }
+            
+            if (withLabel) {
+                const labelEl = document.createElement('label');
+                labelEl.className = 'form-label';
+                labelEl.htmlFor = inputId;
+                labelEl.textContent = label;
+                if (input.required) {
+                    const required = document.createElement('span');
+                    required.className = 'text-danger ms-1';
+                    required.textContent = '*';
+                    labelEl.appendChild(required);
+                }
+                container.appendChild(labelEl);
+            } else {
+                input.setAttribute('aria-label', label);
+            }
+            
+            container.appendChild(input);
+            this.applyColumnAccessibility(container, column);
+            return container;
+        },
+        
+        applyColumnAccessibility: function(container, column) {
+            const accessibility = this.getSchemaValue(column, 'Accessibility');
+            if (accessibility) {
+                this.applyAccessibility(container, accessibility);
+            }
+        },
+        
+        // Native constraint attributes on the input (when there is a single one) and the same
+        // data-validation rules the server renders, DateConfig included
+        applySchemaValidation: function(container, field, input) {
+            const validation = this.getSchemaValue(field, 'Validation') || {};
+            
+            if (input) {
+                if (this.getSchemaValue(validation, 'IsRequired')) input.required = true;
+                if (this.getSchemaValue(validation, 'MinLength') != null) input.setAttribute('minlength', this.getSchemaValue(validation, 'MinLength'));
+                if (this.getSchemaValue(validation, 'MaxLength') != null) input.setAttribute('maxlength', this.getSchemaValue(validation, 'MaxLength'));
+                if (this.getSchemaValue(validation, 'Pattern')) input.setAttribute('pattern', this.getSchemaValue(validation, 'Pattern'));
+                if (this.getSchemaValue(validation, 'MinValue') != null) input.setAttribute('min', this.getSchemaValue(validation, 'MinValue'));
+                if (this.getSchemaValue(validation, 'MaxValue') != null) input.setAttribute('max', this.getSchemaValue(validation, 'MaxValue'));
+            }
+            
+            const rules = Object.assign({}, validation);
+            const typeConfig = this.getSchemaValue(field, 'TypeConfig');
+            if (typeConfig && String(typeConfig.$type).toLowerCase() === 'date') {
+                rules.DateConfig = typeConfig;
+            }
+            if (Object.keys(rules).length > 0) {
+                container.setAttribute('data-validation', JSON.stringify(rules));
+            }
+        },
+        
+        // Selects, checkboxes, radios and file inputs have no read-only state, so they are disabled
+        applySchemaReadOnly: function(input) {
+            if (input.tagName === 'SELECT' || ['checkbox', 'radio', 'file'].includes(input.type)) {
+                input.disabled = true;
+            } else {
+                input.readOnly = true;
+            }
+        },
+        
+        getSchemaLabel: function(field, language) {
+            return this.getSchemaText(field, 'Label', language) || this.getSchemaValue(field, 'Id');
+        },
+        
+        // Localized schema text (LabelEn/LabelFr, HelpEn/HelpFr...); French falls back to English
+        getSchemaText: function(obj, name, language) {
+            const textEn = this.getSchemaValue(obj, name + 'En');
+            const text = (language || this.config.language) === 'FR'
+                ? this.getSchemaValue(obj, name + 'Fr') || textEn
+                : textEn;
+            return text || null;
+        },
+        
+        // FieldOption (LabelEn/LabelFr) or CodeSetItem (TextEn/TextFr)
+        getOptionLabel: function(option, language) {
+            const labelEn = this.getSchemaValue(option, 'LabelEn') ?? this.getSchemaValue(option, 'TextEn');
+            const labelFr = this.getSchemaValue(option, 'LabelFr') ?? this.getSchemaValue(option, 'TextFr');
+            return ((language || this.config.language) === 'FR' ? labelFr || labelEn : labelEn) || this.getSchemaValue(option, 'Value');
+        },
+        
+        // Field options in Order
+        getSchemaOptions: function(field) {
+            return (this.getSchemaValue(field, 'Options') || [])
+                .slice()
+                .sort((a, b) => (this.getSchemaValue(a, 'Order') || 0) - (this.getSchemaValue(b, 'Order') || 0));
+        },
+        
+        getColumnDisplayValue: function(column, value) {
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                return '';
+            }
+            
+            const isFrench = this.config.language === 'FR';
+            const options = this.getSchemaValue(column, 'Options') || [];
+            
+            return (Array.isArray(value) ? value : [value]).map(item => {
+                if (typeof item === 'boolean') {
+                    return item ? (isFrench ? 'Oui' : 'Yes') : (isFrench ? 'Non' : 'No');
+                }
+                const option = options.find(o => String(this.getSchemaValue(o, 'Value')) === String(item));
+                return option ? this.getOptionLabel(option) : String(item);
+            }).join(', ');
+        },
+        
+        serializeDataGrid: function(grid) {
+            const addHidden = (name, value) => {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = value;
+                grid.dataContainer.appendChild(input);
+            };
+            
+            grid.dataContainer.replaceChildren();
+            
+            grid.rows.forEach((row, index) => {
+                grid.columns.forEach(column => {
+                    const columnId = this.getSchemaValue(column, 'Id');
+                    const value = row.values[columnId];
+                    const name = `${grid.namePrefix}[${index}].${columnId}`;
+                    
+                    if (Array.isArray(value)) {
+                        value.forEach(item => addHidden(name, item));
+                    } else if (value !== null && value !== undefined && value !== '') {
+                        addHidden(name, String(value));
+                    }
+                });
+            });
+            
+            this.recomputeDependents(grid.id);
+        },
+        
+        // Computed field functions. Markup: the field container carries the V4
+        // ComputedFormula in data-computed ({"Expression": ..., "DependentFieldIds": [...]}).
+        initializeComputedFields: function() {
+            this.computedFields = {};
+            this.computedOrder = [];
+            
+            const form = this.getForm();
+            if (!form) return;
+            
+            form.querySelectorAll('[data-field-id][data-computed]').forEach(container => {
+                const fieldId = container.getAttribute('data-field-id');
+                
+                try {
+                    const formula = JSON.parse(container.getAttribute('data-computed'));
+                    const expression = this.getSchemaValue(formula, 'Expression');
+                    const ast = this.Formula.parse(expression);
+                    
+                    this.computedFields[fieldId] = {
+                        fieldId: fieldId,
+                        container: container,
+                        expression: expression,
+                        ast: ast,
+                        // References inside the expression count even if DependentFieldIds is incomplete
+                        dependencies: Array.from(new Set((this.getSchemaValue(formula, 'DependentFieldIds') || [])
+                            .concat(this.Formula.getReferences(ast))))
+                    };
+                } catch (error) {
+                    console.error(`Invalid formula for computed field ${fieldId}:`, error.message);
+                    return;
+                }
+                
+                // Results are never typed by the user
+                this.getFieldInputs(container).forEach(input => {
+                    input.readOnly = true;
+                    input.setAttribute('aria-readonly', 'true');
+                    input.classList.add('computed-field');
+                });
+            });
+            
+            this.computedOrder = this.sortComputedFields();
+            this.computedOrder.forEach(fieldId => this.recomputeField(fieldId));
+        },
+        
+        // Topological order of computed fields; fields caught in a cycle are reported and left out
+        sortComputedFields: function() {
+            const order = [];
+            const state = {};
+            
+            const visit = (fieldId, path) => {
+                if (state[fieldId] === 'done') return true;
+                if (state[fieldId] === 'visiting') {
+                    const cycle = path.slice(path.indexOf(fieldId)).concat(fieldId);
+                    console.error(`Computed field dependency cycle: ${cycle.join(' -> ')}`);
+                    cycle.forEach(id => {
+                        state[id] = 'cycle';
+                    });
+                    return false;
+                }
+                if (state[fieldId] === 'cycle') return false;
+                
+                state[fieldId] = 'visiting';
+                let isValid = true;
+                
+                this.computedFields[fieldId].dependencies
+                    .map(reference => this.getFormulaFieldId(reference))
+                    .filter(dependency => this.computedFields[dependency])
+                    .forEach(dependency => {
+                        if (!visit(dependency, path.concat(fieldId))) {
+                            isValid = false;
+                        }
+                    });
+                
+                if (!isValid || state[fieldId] === 'cycle') {
+                    state[fieldId] = 'cycle';
+                    this.markComputedError(fieldId);
+                    return false;
+                }
+                
+                state[fieldId] = 'done';
+                order.push(fieldId);
+                return true;
+            };
+            
+            Object.keys(this.computedFields).forEach(fieldId => visit(fieldId, []));
+            
+            return order;
+        },
+        
+        markComputedError: function(fieldId) {
+            const computed = this.computedFields[fieldId];
+            computed.hasCycle = true;
+            computed.container.classList.add('computed-error');
+            computed.container.setAttribute('title', this.config.language === 'FR'
+                ? 'Formule invalide (rfrence circulaire)'
+                : 'Invalid formula (circular reference)');
+        },
+        
+        // Recompute every computed field downstream of a change, in dependency order
+        recomputeDependents: function(fieldId) {
+            if (!this.computedOrder || this.computedOrder.length === 0) return;
+            
+            const changed = new Set([fieldId]);
+            
+            this.computedOrder.forEach(computedId => {
+                const dependsOnChange = this.computedFields[computedId].dependencies
+                    .some(reference => changed.has(this.getFormulaFieldId(reference)));
+                
+                if (dependsOnChange && this.recomputeField(computedId)) {
+                    changed.add(computedId);
+                }
+            });
+        },
+        
+        // Returns true when the displayed result changed
+        recomputeField: function(fieldId) {
+            const computed = this.computedFields[fieldId];
+            if (!computed || computed.hasCycle) return false;
+            
+            const formula = Object.assign(Object.create(this.Formula), { language: this.config.language });
+            let result;
+            try {
+                result = formula.evaluate(computed.ast, name => this.resolveFormulaReference(name));
+            } catch (error) {
+                console.warn(`Error computing ${fieldId}:`, error.message);
+                result = null;
+            }
+            
+            const text = this.Formula.format(result);
+            const inputs = this.getFieldInputs(computed.container);
+            if (inputs.length === 0 || inputs[0].value === text) return false;
+            
+            inputs[0].value = text;
+            this.handleConditionalLogic(fieldId, text);
+            return true;
+        },
+        
+        // Field ids, "gridId.columnId" (array of that column across rows) or module references
+        resolveFormulaReference: function(name) {
+            const [gridId, columnId] = name.split('.');
+            if (columnId && this.dataGrids?.[gridId]) {
+                return this.dataGrids[gridId].rows.map(row => row.values[columnId]);
+            }
+            
+            return this.resolveConditionFieldValue(name);
+        },
+        
+        // The field a formula reference reads from on this page (other modules' references are kept
+        // whole so they never match a field here)
+        getFormulaFieldId: function(reference) {
+            const gridId = reference.split('.')[0];
+            if (this.dataGrids?.[gridId]) return gridId;
+            
+            const { moduleKey, fieldId } = this.parseFieldReference(reference);
+            return moduleKey && moduleKey !== this.config.moduleKey ? reference : fieldId;
+        },
+        
+        // Render a V4 FormModuleSchema (JSON) into a container, with the markup the server renders:
+        // [data-field-id] containers carrying data-validation, data-conditional-rules, data-computed...
+        // so the runtime can take over. Fields nest by ParentId and sort by Order.
+        //
+        // options: {
+        //   language    'EN' | 'FR' (default config.language)
+        //   values      { fieldId: value } answers to show (data grids take an array of rows)
+        //   readOnly    render every field read-only
+        //   initialize  true or create() options: start a runtime instance on the enclosing form,
+        //               with the schema's CrossFieldValidations
+        // }
+        // Returns { container, elements: { fieldId: element }, instance }
+        render: function(container, schema, options) {
+            const target = typeof container === 'string' ? document.getElementById(container) : container;
+            if (!target) {
+                throw new Error('DynamicForms.render needs a container element');
+            }
+            
+            const settings = Object.assign({ language: this.config.language, values: {}, readOnly: false, initialize: false }, options);
+            const language = String(settings.language).toUpperCase() === 'FR' ? 'FR' : 'EN';
+            const fields = (this.getSchemaValue(schema, 'Fields') || [])
+                .slice()
+                .sort((a, b) => (this.getSchemaValue(a, 'Order') || 0) - (this.getSchemaValue(b, 'Order') || 0));
+            
+            const byId = {};
+            fields.forEach(field => { byId[this.getSchemaValue(field, 'Id')] = field; });
+            
+            const children = {};
+            const roots = [];
+            fields.forEach(field => {
+                const parentId = this.getSchemaValue(field, 'ParentId');
+                if (parentId && byId[parentId]) {
+                    (children[parentId] || (children[parentId] = [])).push(field);
+                } else {
+                    if (parentId) {
+                        console.warn(`Field ${this.getSchemaValue(field, 'Id')} has an unknown parent ${parentId}; rendered at the top level`);
+                    }
+                    roots.push(field);
+                }
+            });
+            
+            const context = {
+                schema: schema,
+                language: language,
+                values: settings.values || {},
+                readOnly: !!settings.readOnly,
+                depth: 0,
+                headless: false,
+                elements: {},
+                byId: byId,
+                getChildren: field => children[this.getSchemaValue(field, 'Id')] || [],
+                text: (obj, name) => this.getSchemaText(obj, name, language)
+            };
+            
+            target.replaceChildren(this.renderFieldList(roots, context));
+            
+            fields
+                .filter(field => !context.elements[this.getSchemaValue(field, 'Id')])
+                .forEach(field => console.warn(`Field ${this.getSchemaValue(field, 'Id')} was not rendered: its ParentId chain loops`));
+            
+            let instance = null;
+            if (settings.initialize) {
+                instance = this.create(target.closest('form'), Object.assign({
+                    language: language,
+                    fieldSetValidations: this.getSchemaValue(schema, 'CrossFieldValidations') || []
+                }, settings.initialize === true ? {} : settings.initialize));
+            }
+            
+            return { container: target, elements: context.elements, instance: instance };
+        },
+        
+        // Fields side by side in a Bootstrap row, each WidthClass (1-12) columns wide. Children
+        // their field's renderer did not place (an input's Conditional, Cascade or Validation
+        // dependents) follow it in the same row.
+        renderFieldList: function(fields, context) {
+            const row = this.Dom.create('div', { className: 'row' });
+            
+            const place = field => {
+                if (context.elements[this.getSchemaValue(field, 'Id')]) return;
+                
+                const element = this.renderSchemaField(field, context);
+                const width = Number(this.getSchemaValue(field, 'WidthClass'));
+                element.classList.add(width >= 1 && width <= 12 ? `col-md-${width}` : 'col-12');
+                row.appendChild(element);
+                
+                context.getChildren(field).forEach(place);
+            };
+            fields.forEach(place);
+            
+            return row;
+        },
+        
+        // Children of a layout field (Section, Group, Panel...), one level deeper
+        renderChildFields: function(field, context) {
+            return this.renderFieldList(context.getChildren(field),
+                Object.assign({}, context, { depth: context.depth + 1, headless: false }));
+        },
+        
+        // One field through its FieldType renderer, then the container attributes every field shares
+        renderSchemaField: function(field, context) {
+            const fieldId = String(this.getSchemaValue(field, 'Id'));
+            const type = String(this.getSchemaValue(field, 'FieldType') || '').toLowerCase();
+            const renderer = this.fieldRenderers[type] || (INPUT_FIELD_TYPES[type] ? this.fieldRenderers.textbox : null);
+            
+            let element;
+            if (renderer) {
+                element = renderer.call(this, field, context);
+            } else {
+                console.warn(`No renderer for field type "${this.getSchemaValue(field, 'FieldType')}" (field ${fieldId})`);
+                element = this.Dom.create('div', { className: 'alert alert-warning', attrs: { role: 'alert' } }, [
+                    `${context.language === 'FR' ? 'Type de champ non support:' : 'Unsupported field type:'} ${this.getSchemaValue(field, 'FieldType')}`
+                ]);
+            }
+            context.elements[fieldId] = element;
+            
+            element.setAttribute('data-field-id', fieldId);
+            element.setAttribute('data-field-type', type);
+            if (element.querySelector('[data-field-id]')) {
+                element.setAttribute('data-field-layout', 'true');
+            }
+            
+            const cssClasses = String(this.getSchemaValue(field, 'CssClasses') || '').split(/\s+/).filter(Boolean);
+            if (cssClasses.length > 0) {
+                element.classList.add(...cssClasses);
+            }
+            
+            // Rendered hidden; a Show rule can still reveal it
+            if (this.getSchemaValue(field, 'IsVisible') === false) {
+                element.classList.add('d-none');
+            }
+            
+            if (this.isSchemaReadOnly(field, context)) {
+                this.getHideableInputs(element)
+                    .filter(input => input.type !== 'hidden')
+                    .forEach(input => this.applySchemaReadOnly(input));
+            }
+            
+            const computed = this.getSchemaValue(field, 'ComputedValue');
+            if (computed) {
+                element.setAttribute('data-computed', JSON.stringify(computed));
+                this.getFieldInputs(element).forEach(input => {
+                    input.readOnly = true;
+                    input.setAttribute('aria-readonly', 'true');
+                    input.classList.add('computed-field');
+                });
+            }
+            
+            const rules = this.getSchemaRules(field, context);
+            if (rules.length > 0) {
+                element.setAttribute('data-conditional-rules', JSON.stringify(rules));
+            }
+            
+            const accessibility = this.getSchemaValue(field, 'Accessibility');
+            if (accessibility) {
+                element.setAttribute('data-accessibility', JSON.stringify(accessibility));
+            }
+            
+            if (this.getRelationshipType(field) === 'Validation') {
+                element.setAttribute('data-validation-parent', this.getSchemaValue(field, 'ParentId'));
+            }
+            
+            return element;
+        },
+        
+        // V4 RelationshipType of a field to its ParentId (Container when unset)
+        getRelationshipType: function(field) {
+            const relationship = this.getSchemaValue(field, 'Relationship') ?? this.getSchemaValue(field, 'RelationshipType');
+            if (typeof relationship === 'number') {
+                return RELATIONSHIP_TYPES[relationship] || 'Container';
+            }
+            return RELATIONSHIP_TYPES.find(name => name.toLowerCase() === String(relationship ?? '').toLowerCase()) || 'Container';
+        },
+        
+        // ConditionalRules, or for a Conditional relationship without rules of its own: shown while
+        // the parent has a value (is checked, for a checkbox)
+        getSchemaRules: function(field, context) {
+            const rules = this.getSchemaValue(field, 'ConditionalRules') || [];
+            if (rules.length > 0 || this.getRelationshipType(field) !== 'Conditional') {
+                return rules;
+            }
+            
+            const parentId = this.getSchemaValue(field, 'ParentId');
+            const parentType = String(this.getSchemaValue(context.byId[parentId], 'FieldType') || '').toLowerCase();
+            return [{
+                Id: `${this.getSchemaValue(field, 'Id')}_relationship`,
+                Description: `Shown when ${parentId} is answered`,
+                Action: 'Show',
+                Condition: parentType === 'checkbox'
+                    ? { Field: parentId, Operator: 'Equals', Value: true }
+                    : { Field: parentId, Operator: 'IsNotEmpty' }
+            }];
+        },
+        
+        isSchemaReadOnly: function(field, context) {
+            return context.readOnly || this.getSchemaValue(field, 'IsReadOnly') === true;
+        },
+        
+        // Renderers by lowercase FieldType, called as renderer.call(DynamicForms, field, context) and
+        // returning the element that becomes the field's [data-field-id] container. context holds
+        // language, values, readOnly, schema, depth, text(obj, 'Label') for localized schema text
+        // and getChildren(field). Layout renderers place their children with renderChildFields.
+        fieldRenderers: {
+            section: function(field, context) {
+                const label = context.text(field, 'Label');
+                return this.Dom.create('section', { className: 'dynamic-section mb-4' }, [
+                    label && !context.headless
+                        ? this.Dom.create(`h${Math.min(context.depth + 2, 6)}`, { className: 'dynamic-section-title', text: label })
+                        : null,
+                    this.createSchemaDescription(field, context),
+                    this.renderChildFields(field, context)
+                ]);
+            },
+            
+            group: function(field, context) {
+                const label = context.text(field, 'Label');
+                return this.Dom.create('fieldset', { className: 'dynamic-group mb-3' }, [
+                    label && !context.headless ? this.Dom.create('legend', { className: 'form-label', text: label }) : null,
+                    this.createSchemaDescription(field, context),
+                    this.renderChildFields(field, context)
+                ]);
+            },
+            
+            panel: function(field, context) {
+                const label = context.text(field, 'Label');
+                const description = this.createSchemaDescription(field, context);
+                return this.Dom.create('div', { className: 'dynamic-panel card mb-4' }, [
+                    (label || description) && !context.headless
+                        ? this.Dom.create('div', { className: 'card-header dynamic-panel-header' }, [
+                            this.Dom.create(`h${Math.min(context.depth + 2, 6)}`, { className: 'dynamic-panel-title h6 mb-0', text: label }),
+                            description
+                        ])
+                        : null,
+                    this.Dom.create('div', { className: 'card-body dynamic-panel-body' }, [this.renderChildFields(field, context)])
+                ]);
+            },
+            
+            // Each child is one tab; its label names the tab and the pane shows the rest of it
+            tab: function(field, context) {
+                const tabsId = `field_${this.getSchemaValue(field, 'Id')}`;
+                const paneContext = Object.assign({}, context, { depth: context.depth + 1, headless: true });
+                const nav = this.Dom.create('div', { className: 'nav nav-tabs', attrs: { role: 'tablist' } });
+                const content = this.Dom.create('div', { className: 'tab-content dynamic-tab-content' });
+                const tabs = [];
+                
+                context.getChildren(field).forEach((child, index) => {
+                    const paneId = `${tabsId}_${this.getSchemaValue(child, 'Id')}_pane`;
+                    const button = this.Dom.create('button', {
+                        type: 'button',
+                        className: 'nav-link',
+                        id: `${paneId}_tab`,
+                        text: this.getSchemaLabel(child, context.language),
+                        attrs: { role: 'tab', 'aria-controls': paneId },
+                        on: { click: () => this.selectSchemaTab(tabs, index) }
+                    });
+                    const pane = this.Dom.create('div', {
+                        className: 'tab-pane',
+                        id: paneId,
+                        attrs: { role: 'tabpanel', 'aria-labelledby': button.id, tabindex: 0 }
+                    }, [this.renderFieldList([child], paneContext)]);
+                    
+                    nav.appendChild(button);
+                    content.appendChild(pane);
+                    tabs.push({ button: button, pane: pane });
+                });
+                
+                // Arrow keys, Home and End move between tabs (ARIA tabs pattern)
+                nav.addEventListener('keydown', e => {
+                    const current = tabs.findIndex(tab => tab.button === document.activeElement);
+                    const next = { ArrowRight: current + 1, ArrowLeft: current - 1, Home: 0, End: tabs.length - 1 }[e.key];
+                    if (current === -1 || next === undefined) return;
+                    
+                    e.preventDefault();
+                    this.selectSchemaTab(tabs, (next + tabs.length) % tabs.length, true);
+                });
+                
+                if (tabs.length > 0) {
+                    this.selectSchemaTab(tabs, 0);
+                }
+                
+                const label = context.text(field, 'Label');
+                return this.Dom.create('div', { className: 'dynamic-tabs mb-4' }, [
+                    label && !context.headless ? this.Dom.create('div', { className: 'form-label dynamic-tab-title', text: label }) : null,
+                    nav,
+                    content
+                ]);
+            },
+            
+            textbox: function(field, context) {
+                const type = String(this.getSchemaValue(field, 'FieldType') || '').toLowerCase();
+                return this.createSchemaField(field, context, this.Dom.create('input', {
+                    type: INPUT_FIELD_TYPES[type] || 'text',
+                    className: 'form-control'
+                }));
+            },
+            
+            textarea: function(field, context) {
+                return this.createSchemaField(field, context, this.Dom.create('textarea', { className: 'form-control', rows: 4 }));
+            },
+            
+            dropdown: function(field, context) {
+                const options = this.getSchemaOptions(field);
+                const select = this.Dom.create('select', { className: 'form-select' });
+                
+                if (!options.some(option => String(this.getSchemaValue(option, 'Value') ?? '') === '')) {
+                    select.appendChild(this.Dom.create('option', {
+                        value: '',
+                        text: context.language === 'FR' ? '-- Veuillez slectionner --' : '-- Please Select --'
+                    }));
+                }
+                options.forEach(option => select.appendChild(this.Dom.create('option', {
+                    value: String(this.getSchemaValue(option, 'Value') ?? ''),
+                    text: this.getOptionLabel(option, context.language)
+                })));
+                
+                // Cascade: the options follow the parent's value, from the inline options or the codeset
+                if (this.getRelationshipType(field) === 'Cascade') {
+                    select.setAttribute('data-cascade-parent', this.getSchemaValue(field, 'ParentId'));
+                    if (options.length > 0) {
+                        select.setAttribute('data-cascade-options', JSON.stringify(options.map(option => ({
+                            Value: this.getSchemaValue(option, 'Value'),
+                            TextEn: this.getSchemaValue(option, 'LabelEn') ?? this.getSchemaValue(option, 'TextEn'),
+                            TextFr: this.getSchemaValue(option, 'LabelFr') ?? this.getSchemaValue(option, 'TextFr'),
+                            Order: this.getSchemaValue(option, 'Order'),
+                            ParentValue: this.getSchemaValue(option, 'ParentValue')
+                        }))));
+                    } else if (this.getSchemaValue(field, 'CodeSetId') != null) {
+                        select.setAttribute('data-codeset-id', this.getSchemaValue(field, 'CodeSetId'));
+                    }
+                }
+                
+                return this.createSchemaField(field, context, select);
+            },
+            
+            dropdownlist: function(field, context) {
+                return this.fieldRenderers.dropdown.call(this, field, context);
+            },
+            
+            radiobuttonlist: function(field, context) {
+                return this.createSchemaOptionList(field, context, 'radio');
+            },
+            
+            checkboxlist: function(field, context) {
+                return this.createSchemaOptionList(field, context, 'checkbox');
+            },
+            
+            checkbox: function(field, context) {
+                return this.createSchemaField(field, context, this.Dom.create('input', {
+                    type: 'checkbox',
+                    className: 'form-check-input',
+                    value: 'true'
+                }));
+            },
+            
+            // Same markup as the server's file upload: the runtime sends the files in chunks and
+            // posts the uploaded references from data-upload-values
+            fileupload: function(field, context) {
+                const fieldId = this.getSchemaValue(field, 'Id');
+                const config = this.getSchemaValue(field, 'TypeConfig') || {};
+                const extensions = (this.getSchemaValue(config, 'AllowedExtensions') || [])
+                    .map(extension => (String(extension).startsWith('.') ? extension : '.' + extension).toLowerCase())
+                    .join(',');
+                const existing = [].concat(context.values[fieldId] ?? []).filter(Boolean);
+                const isRequired = this.getSchemaValue(this.getSchemaValue(field, 'Validation'), 'IsRequired') === true;
+                
+                const input = this.Dom.create('input', {
+                    type: 'file',
+                    className: 'form-control',
+                    id: `field_${fieldId}`,
+                    multiple: !!this.getSchemaValue(config, 'AllowMultiple'),
+                    required: isRequired && existing.length === 0,
+                    attrs: {
+                        accept: extensions || null,
+                        'data-allowed-types': extensions || null,
+                        'data-max-size': this.getSchemaValue(config, 'MaxFileSizeBytes') ?? 10 * 1024 * 1024,
+                        'data-required': String(isRequired)
+                    }
+                });
+                
+                const container = this.Dom.create('div', { className: 'form-group mb-3' }, [
+                    this.createSchemaLabel(field, context, input.id, 'form-label'),
+                    this.Dom.create('div', { className: 'file-upload-container' }, [
+                        input,
+                        existing.length > 0
+                            ? this.Dom.create('div', { className: 'mt-2', attrs: { 'data-upload-existing': true } }, [
+                                this.Dom.create('small', {
+                                    className: 'text-muted',
+                                    text: `${context.language === 'FR' ? 'Fichier actuel:' : 'Current file:'} ${existing.join(', ')}`
+                                })
+                            ])
+                            : null,
+                        this.Dom.create('div', { className: 'file-upload-preview d-none', attrs: { 'aria-live': 'polite' } }),
+                        this.Dom.create('div', {
+                            attrs: { 'data-upload-values': true, 'data-value-name': fieldId, 'data-multi-value-name': fieldId }
+                        }, existing.map(value => this.Dom.create('input', { type: 'hidden', name: fieldId, value: value })))
+                    ])
+                ]);
+                
+                this.applySchemaValidation(container, field, null);
+                this.appendSchemaHelp(container, field, context, [input]);
+                return container;
+            },
+            
+            // DataGridConfig for the runtime's grid, with the saved rows
+            datagrid: function(field, context) {
+                const fieldId = this.getSchemaValue(field, 'Id');
+                const rows = context.values[fieldId];
+                
+                const container = this.Dom.create('fieldset', { className: 'form-group mb-3' }, [
+                    this.createSchemaLabel(field, context, null, 'form-label'),
+                    this.Dom.create('div', {
+                        id: `field_${fieldId}`,
+                        attrs: {
+                            'data-datagrid': JSON.stringify(this.getSchemaValue(field, 'TypeConfig') || {}),
+                            'data-datagrid-name': fieldId,
+                            'data-datagrid-rows': JSON.stringify(Array.isArray(rows) ? rows : []),
+                            'data-readonly': this.isSchemaReadOnly(field, context)
+                        }
+                    })
+                ]);
+                
+                this.appendSchemaHelp(container, field, context, []);
+                return container;
+            },
+            
+            // The typed text stays in the visible input; the picked value posts from the hidden one
+            autocomplete: function(field, context) {
+                const fieldId = this.getSchemaValue(field, 'Id');
+                const input = this.Dom.create('input', {
+                    type: 'text',
+                    className: 'form-control',
+                    attrs: { 'data-autocomplete': JSON.stringify(this.getSchemaValue(field, 'TypeConfig') || {}), autocomplete: 'off' }
+                });
+                
+                const container = this.createSchemaField(field, context, input);
+                input.removeAttribute('name');
+                
+                const value = context.values[fieldId];
+                return this.Dom.append(container, [
+                    this.Dom.create('input', { type: 'hidden', name: fieldId, value: value ?? '', attrs: { 'data-autocomplete-value': true } }),
+                    this.Dom.create('input', { type: 'hidden', value: value ?? '', attrs: { 'data-autocomplete-display': true } })
+                ]);
+            },
+            
+            infobox: function(field, context) {
+                return this.renderInfoBoxContent(this.Dom.create('div', { className: 'alert alert-info' }), field, context.language);
+            },
+            
+            label: function(field, context) {
+                return this.Dom.create('div', {
+                    className: 'form-label-static mb-3',
+                    text: context.text(field, 'Description') || context.text(field, 'Label') || ''
+                });
+            }
+        },
+        
+        // Add or replace the renderer of a FieldType (see fieldRenderers for what it receives)
+        registerFieldRenderer: function(type, render) {
+            this.fieldRenderers[String(type).toLowerCase()] = render;
+        },
+        
+        selectSchemaTab: function(tabs, index, focus) {
+            tabs.forEach((tab, i) => {
+                const active = i === index;
+                tab.button.classList.toggle('active', active);
+                tab.button.setAttribute('aria-selected', String(active));
+                tab.button.tabIndex = active ? 0 : -1;
+                tab.pane.classList.toggle('active', active);
+                tab.pane.classList.toggle('show', active);
+                tab.pane.hidden = !active;
+            });
+            
+            if (focus) {
+                tabs[index].button.focus();
+            }
+        },
+        
+        // Labelled container around one input: id and name, placeholder, validation, help text and
+        // the saved value (or the IsDefault option). Custom renderers can build on it.
+        createSchemaField: function(field, context, input) {
+            const fieldId = this.getSchemaValue(field, 'Id');
+            input.id = `field_${fieldId}`;
+            input.name = fieldId;
+            
+            const placeholder = context.text(field, 'Placeholder');
+            if (placeholder && input.tagName !== 'SELECT') input.placeholder = placeholder;
+            
+            const container = this.Dom.create('div', { className: 'form-group mb-3', attrs: { 'data-field-id': fieldId } });
+            this.applySchemaValidation(container, field, input);
+            
+            if (input.type === 'checkbox') {
+                container.appendChild(this.Dom.create('div', { className: 'form-check' }, [
+                    input,
+                    this.createSchemaLabel(field, context, input.id, 'form-check-label')
+                ]));
+            } else {
+                this.Dom.append(container, [this.createSchemaLabel(field, context, input.id, 'form-label'), input]);
+            }
+            
+            this.appendSchemaHelp(container, field, context, [input]);
+            this.writeSchemaValue(container, field, context);
+            return container;
+        },
+        
+        // Radio buttons or checkboxes, one per option, in a fieldset whose legend names the field
+        createSchemaOptionList: function(field, context, type) {
+            const fieldId = this.getSchemaValue(field, 'Id');
+            const container = this.Dom.create('fieldset', { className: 'form-group mb-3', attrs: { 'data-field-id': fieldId } }, [
+                this.createSchemaLabel(field, context, null, 'form-label')
+            ]);
+            
+            const inputs = this.getSchemaOptions(field).map((option, index) => {
+                const input = this.Dom.create('input', {
+                    type: type,
+                    className: 'form-check-input',
+                    id: `field_${fieldId}_${index}`,
+                    name: fieldId,
+                    value: String(this.getSchemaValue(option, 'Value') ?? '')
+                });
+                container.appendChild(this.Dom.create('div', { className: 'form-check' }, [
+                    input,
+                    this.Dom.create('label', { className: 'form-check-label', htmlFor: input.id, text: this.getOptionLabel(option, context.language) })
+                ]));
+                return input;
+            });
+            
+            this.applySchemaValidation(container, field, null);
+            this.appendSchemaHelp(container, field, context, inputs);
+            this.writeSchemaValue(container, field, context);
+            return container;
+        },
+        
+        // Label (a legend when inputId is null) with the required marker
+        createSchemaLabel: function(field, context, inputId, className) {
+            const text = context.text(field, 'Label');
+            if (!text) return null;
+            
+            const isRequired = this.getSchemaValue(this.getSchemaValue(field, 'Validation'), 'IsRequired') === true;
+            return this.Dom.create(inputId ? 'label' : 'legend', { className: className, htmlFor: inputId }, [
+                text,
+                isRequired ? this.Dom.create('span', { className: 'text-danger ms-1', text: '*' }) : null
+            ]);
+        },
+        
+        createSchemaDescription: function(field, context) {
+            const description = context.headless ? null : context.text(field, 'Description');
+            return description ? this.Dom.create('p', { className: 'text-muted', text: description }) : null;
+        },
+        
+        // HelpEn/HelpFr under the field, announced with its inputs
+        appendSchemaHelp: function(container, field, context, inputs) {
+            const help = context.text(field, 'Help');
+            if (!help) return;
+            
+            const helpId = `field_${this.getSchemaValue(field, 'Id')}_help`;
+            container.appendChild(this.Dom.create('div', { className: 'form-text', id: helpId, text: help }));
+            inputs.forEach(input => this.toggleDescribedBy(input, helpId, true));
+        },
+        
+        writeSchemaValue: function(container, field, context) {
+            let value = context.values[this.getSchemaValue(field, 'Id')];
+            if (value === undefined) {
+                const defaults = this.getSchemaOptions(field)
+                    .filter(option => this.getSchemaValue(option, 'IsDefault'))
+                    .map(option => String(this.getSchemaValue(option, 'Value')));
+                if (defaults.length === 0) return;
+                value = defaults.length === 1 ? defaults[0] : defaults;
+            }
+            this.writeFieldValue(container, value);
+        },
+        
+        // Safe formula language for ComputedFormula.Expression (no eval):
+        //   numbers, 'strings', TRUE/FALSE/NULL, field ids (or [field id]), gridId.columnId
+        //   + - * / % ^, & (concatenate), = == != <> < <= > >=, AND/&&, OR/||, NOT/!
+        //   functions: see Formula.functions (AND(...), OR(...) and NOT(...) included)
+        Formula: {
+            parse: function(expression) {
+                const tokens = this.tokenize(String(expression || ''));
+                let position = 0;
+                
+                const peek = () => tokens[position];
+                const next = () => tokens[position++];
+                const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+                const expect = value => {
+                    const token = next();
+                    if (!token || token.value !== value) {
+                        throw new Error(`Expected "${value}" but found "${token ? token.value : 'end of expression'}"`);
+                    }
+                };
+                
+                // Name already read, "(" next
+                const parseCall = name => {
+                    next();
+                    const args = [];
+                    if (!isOperator(')')) {
+                        do {
+                            args.push(parseOr());
+                        } while (isOperator(',') && next());
+                    }
+                    expect(')');
+                    return { type: 'call', name: name, args: args };
+                };
+                
+                const binary = (parseOperand, operators) => {
+                    let node = parseOperand();
+                    while (isOperator(...operators)) {
+                        const op = next().value;
+                        node = { type: 'binary', op: op, left: node, right: parseOperand() };
+                    }
+                    return node;
+                };
+                
+                const parseOr = () => binary(parseAnd, ['||', 'OR']);
+                const parseAnd = () => binary(parseEquality, ['&&', 'AND']);
+                const parseEquality = () => binary(parseComparison, ['=', '==', '!=', '<>']);
+                const parseComparison = () => binary(parseAdditive, ['<', '<=', '>', '>=']);
+                const parseAdditive = () => binary(parseMultiplicative, ['+', '-', '&']);
+                const parseMultiplicative = () => binary(parseUnary, ['*', '/', '%']);
+                
+                const parseUnary = () => {
+                    if (isOperator('-', '!', 'NOT', '+')) {
+                        const op = next().value;
+                        return { type: 'unary', op: op, argument: parseUnary() };
+                    }
+                    return parsePower();
+                };
+                
+                // Right-associative
+                const parsePower = () => {
+                    const base = parsePrimary();
+                    if (isOperator('^')) {
+                        next();
+                        return { type: 'binary', op: '^', left: base, right: parseUnary() };
+                    }
+                    return base;
+                };
+                
+                const parsePrimary = () => {
+                    const token = next();
+                    if (!token) throw new Error('Unexpected end of expression');
+                    
+                    switch (token.type) {
+                        case 'number':
+                        case 'string':
+                            return { type: 'literal', value: token.value };
+                        case 'reference':
+                            return { type: 'reference', name: token.value };
+                        case 'identifier': {
+                            const upper = token.value.toUpperCase();
+                            if (upper === 'TRUE' || upper === 'FALSE') return { type: 'literal', value: upper === 'TRUE' };
+                            if (upper === 'NULL') return { type: 'literal', value: null };
+                            
+                            if (isOperator('(')) return parseCall(upper);
+                            return { type: 'reference', name: token.value };
+                        }
+                        case 'operator':
+                            // Where an operand is expected, AND( and OR( are the function forms
+                            // (NOT( already reads the same as the unary operator)
+                            if ((token.value === 'AND' || token.value === 'OR') && isOperator('(')) {
+                                return parseCall(token.value);
+                            }
+                            if (token.value === '(') {
+                                const node = parseOr();
+                                expect(')');
+                                return node;
+                            }
+                            break;
+                    }
+                    throw new Error(`Unexpected "${token.value}"`);
+                };
+                
+                const ast = parseOr();
+                if (position < tokens.length) {
+                    throw new Error(`Unexpected "${peek().value}"`);
+                }
+                return ast;
+            },
+            
+            tokenize: function(expression) {
+                const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\[([^\]]+)\]|([A-Za-z_][\w.]*)|(<=|>=|==|!=|<>|&&|\|\||[-+*/%^(),<>=!&]))/y;
+                const tokens = [];
+                let match;
+                
+                pattern.lastIndex = 0;
+                while (pattern.lastIndex < expression.length) {
+                    if (/^\s*$/.test(expression.slice(pattern.lastIndex))) break;
+                    
+                    const start = pattern.lastIndex;
+                    match = pattern.exec(expression);
+                    if (!match) {
+                        throw new Error(`Unexpected character at position ${start}: "${expression.slice(start).trim().charAt(0)}"`);
+                    }
+                    
+                    if (match[1] !== undefined) {
+                        tokens.push({ type: 'number', value: parseFloat(match[1]) });
+                    } else if (match[2] !== undefined || match[3] !== undefined) {
+                        tokens.push({ type: 'string', value: (match[2] ?? match[3]).replace(/\\(.)/g, '$1') });
+                    } else if (match[4] !== undefined) {
+                        tokens.push({ type: 'reference', value: match[4].trim() });
+                    } else if (match[5] !== undefined) {
+                        const upper = match[5].toUpperCase();
+                        tokens.push(['AND', 'OR', 'NOT'].includes(upper)
+                            ? { type: 'operator', value: upper }
+                            : { type: 'identifier', value: match[5] });
+                    } else {
+                        tokens.push({ type: 'operator', value: match[6] });
+                    }
+                }
+                
+                return tokens;
+            },
+            
+            // Field references used by an expression
+            getReferences: function(ast) {
+                const references = [];
+                const walk = node => {
+                    if (!node) return;
+                    if (node.type === 'reference') references.push(node.name);
+                    if (node.type === 'call') node.args.forEach(walk);
+                    if (node.type === 'unary') walk(node.argument);
+                    if (node.type === 'binary') {
+                        walk(node.left);
+                        walk(node.right);
+                    }
+                };
+                walk(ast);
+                return Array.from(new Set(references));
+            },
+            
+            evaluate: function(node, resolve) {
+                switch (node.type) {
+                    case 'literal':
+                        return node.value;
+                    case 'reference':
+                        return resolve(node.name);
+                    case 'unary': {
+                        const value = this.evaluate(node.argument, resolve);
+                        if (node.op === '-') return -this.toNumber(value);
+                        if (node.op === '+') return this.toNumber(value);
+                        return !this.toBoolean(value);
+                    }
+                    case 'binary':
+                        return this.evaluateBinary(node, resolve);
+                    case 'call':
+                        return this.evaluateCall(node, resolve);
+                }
+                throw new Error(`Unknown node type ${node.type}`);
+            },
+            
+            evaluateBinary: function(node, resolve) {
+                // Short-circuit logic
+                if (node.op === '&&' || node.op === 'AND') {
+                    return this.toBoolean(this.evaluate(node.left, resolve)) && this.toBoolean(this.evaluate(node.right, resolve));
+                }
+                if (node.op === '||' || node.op === 'OR') {
+                    return this.toBoolean(this.evaluate(node.left, resolve)) || this.toBoolean(this.evaluate(node.right, resolve));
+                }
+                
+                const left = this.evaluate(node.left, resolve);
+                const right = this.evaluate(node.right, resolve);
+                
+                switch (node.op) {
+                    case '+': return this.toNumber(left) + this.toNumber(right);
+                    case '-': return this.toNumber(left) - this.toNumber(right);
+                    case '*': return this.toNumber(left) * this.toNumber(right);
+                    case '/': return this.toNumber(right) === 0 ? null : this.toNumber(left) / this.toNumber(right);
+                    case '%': return this.toNumber(right) === 0 ? null : this.toNumber(left) % this.toNumber(right);
+                    case '^': return Math.pow(this.toNumber(left), this.toNumber(right));
+                    case '&': return this.toText(left) + this.toText(right);
+                    case '=':
+                    case '==': return this.compare(left, right) === 0;
+                    case '!=':
+                    case '<>': return this.compare(left, right) !== 0;
+                    case '<': return this.compare(left, right) < 0;
+                    case '<=': return this.compare(left, right) <= 0;
+                    case '>': return this.compare(left, right) > 0;
+                    case '>=': return this.compare(left, right) >= 0;
+                }
+                throw new Error(`Unknown operator ${node.op}`);
+            },
+            
+            evaluateCall: function(node, resolve) {
+                // IF only evaluates the branch it returns
+                if (node.name === 'IF') {
+                    if (node.args.length < 2) throw new Error('IF expects (condition, then, else)');
+                    const branch = this.toBoolean(this.evaluate(node.args[0], resolve)) ? node.args[1] : node.args[2];
+                    return branch ? this.evaluate(branch, resolve) : null;
+                }
+                
+                const fn = this.functions[node.name];
+                if (!fn) throw new Error(`Unknown function ${node.name}`);
+                
+                return fn.apply(this, node.args.map(arg => this.evaluate(arg, resolve)));
+            },
+            
+            functions: {
+                // Aggregates flatten arrays (multi-selects, grid columns) and skip blanks
+                SUM: function(...args) {
+                    return this.numbers(args).reduce((sum, n) => sum + n, 0);
+                },
+                AVG: function(...args) {
+                    const numbers = this.numbers(args);
+                    return numbers.length ? numbers.reduce((sum, n) => sum + n, 0) / numbers.length : null;
+                },
+                AVERAGE: function(...args) {
+                    return this.functions.AVG.apply(this, args);
+                },
+                MIN: function(...args) {
+                    const numbers = this.numbers(args);
+                    return numbers.length ? Math.min(...numbers) : null;
+                },
+                MAX: function(...args) {
+                    const numbers = this.numbers(args);
+                    return numbers.length ? Math.max(...numbers) : null;
+                },
+                COUNT: function(...args) {
+                    return this.flatten(args).filter(value => !this.isBlank(value)).length;
+                },
+                
+                ROUND: function(value, digits) {
+                    const factor = Math.pow(10, this.toNumber(digits));
+                    return Math.round(this.toNumber(value) * factor) / factor;
+                },
+                FLOOR: function(value) {
+                    return Math.floor(this.toNumber(value));
+                },
+                CEIL: function(value) {
+                    return Math.ceil(this.toNumber(value));
+                },
+                ABS: function(value) {
+                    return Math.abs(this.toNumber(value));
+                },
+                
+                AND: function(...args) {
+                    return this.flatten(args).every(value => this.toBoolean(value));
+                },
+                OR: function(...args) {
+                    return this.flatten(args).some(value => this.toBoolean(value));
+                },
+                NOT: function(value) {
+                    return !this.toBoolean(value);
+                },
+                ISBLANK: function(value) {
+                    return this.isBlank(value);
+                },
+                COALESCE: function(...args) {
+                    const value = args.find(arg => !this.isBlank(arg));
+                    return value === undefined ? null : value;
+                },
+                
+                CONCAT: function(...args) {
+                    return this.flatten(args).map(value => this.toText(value)).join('');
+                },
+                LEN: function(value) {
+                    return this.toText(value).length;
+                },
+                UPPER: function(value) {
+                    return this.toText(value).toUpperCase();
+                },
+                LOWER: function(value) {
+                    return this.toText(value).toLowerCase();
+                },
+                TRIM: function(value) {
+                    return this.toText(value).trim();
+                },
+                LEFT: function(value, count) {
+                    return this.toText(value).slice(0, this.toNumber(count));
+                },
+                RIGHT: function(value, count) {
+                    const text = this.toText(value);
+                    return text.slice(Math.max(0, text.length - this.toNumber(count)));
+                },
+                CONTAINS: function(value, search) {
+                    return this.toText(value).toLowerCase().includes(this.toText(search).toLowerCase());
+                },
+                
+                TODAY: function() {
+                    const today = new Date();
+                    return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+                },
+                // DATEDIFF(start, end, 'days' | 'weeks' | 'months' | 'years'), whole units
+                DATEDIFF: function(start, end, unit) {
+                    const startDate = this.toDate(start);
+                    const endDate = this.toDate(end);
+                    if (!startDate || !endDate) return null;
+                    
+                    const days = Math.round((endDate - startDate) / 86400000);
+                    switch (this.toText(unit || 'days').toLowerCase()) {
+                        case 'weeks':
+                            return Math.trunc(days / 7);
+                        case 'months':
+                        case 'years': {
+                            let months = (endDate.getFullYear() - startDate.getFullYear()) * 12 + endDate.getMonth() - startDate.getMonth();
+                            if (months > 0 && endDate.getDate() < startDate.getDate()) months--;
+                            if (months < 0 && endDate.getDate() > startDate.getDate()) months++;
+                            return this.toText(unit).toLowerCase() === 'years' ? Math.trunc(months / 12) : months;
+                        }
+                        default:
+                            return days;
+                    }
+                },
+                ADDDAYS: function(date, days) {
+                    const value = this.toDate(date);
+                    if (!value) return null;
+                    value.setDate(value.getDate() + this.toNumber(days));
+                    return value;
+                },
+                YEAR: function(date) {
+                    return this.toDate(date)?.getFullYear() ?? null;
+                },
+                MONTH: function(date) {
+                    const value = this.toDate(date);
+                    return value ? value.getMonth() + 1 : null;
+                },
+                DAY: function(date) {
+                    return this.toDate(date)?.getDate() ?? null;
+                }
+            },
+            
+            // Value helpers
+            flatten: function(values) {
+                return values.reduce((all, value) => all.concat(Array.isArray(value) ? this.flatten(value) : [value]), []);
+            },
+            
+            numbers: function(values) {
+                return this.flatten(values)
+                    .filter(value => !this.isBlank(value))
+                    .map(value => this.toNumber(value))
+                    .filter(value => !isNaN(value));
+            },
+            
+            // Language typed numbers are read in; a runtime evaluates through
+            // Object.create(Formula) carrying its config.language
+            language: 'EN',
+            
+            isBlank: function(value) {
+                return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+            },
+            
+            // Blanks count as 0, like a spreadsheet; text that is not a number is NaN
+            toNumber: function(value) {
+                if (this.isBlank(value)) return 0;
+                if (typeof value === 'number') return value;
+                if (typeof value === 'boolean') return value ? 1 : 0;
+                if (value instanceof Date) return value.getTime();
+                if (Array.isArray(value)) return this.functions.SUM.call(this, value);
+                return this.parseNumber(value);
+            },
+            
+            // "1,200.50" in English, "1 200,50" in French; posted values ("1200.5") read the same in both
+            parseNumber: function(value) {
+                const text = String(value).replace(/[\s$]/g, '');
+                if (text === '') return NaN;
+                return Number(this.language === 'FR' ? text.replace(',', '.') : text.replace(/,/g, ''));
+            },
+            
+            toBoolean: function(value) {
+                if (typeof value === 'string') {
+                    const lower = value.trim().toLowerCase();
+                    return lower !== '' && lower !== 'false' && lower !== '0' && lower !== 'no';
+                }
+                if (Array.isArray(value)) return value.length > 0;
+                return !!value;
+            },
+            
+            toText: function(value) {
+                if (this.isBlank(value)) return '';
+                if (value instanceof Date) return this.format(value);
+                return String(value);
+            },
+            
+            toDate: function(value) {
+                if (value instanceof Date) return new Date(value.getTime());
+                const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(this.toText(value));
+                if (!match) return null;
+                return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4] || 0), Number(match[5] || 0));
+            },
+            
+            // Numbers when both sides read as one (same parsing as toNumber), otherwise case-insensitive text
+            compare: function(left, right) {
+                const asNumber = value => this.isBlank(value) || Array.isArray(value) ? NaN : this.toNumber(value);
+                const leftNumber = asNumber(left);
+                const rightNumber = asNumber(right);
+                
+                if (!isNaN(leftNumber) && !isNaN(rightNumber)) {
+                    return leftNumber === rightNumber ? 0 : (leftNumber < rightNumber ? -1 : 1);
+                }
+                return this.toText(left).toLowerCase().localeCompare(this.toText(right).toLowerCase());
+            },
+            
+            // Text written into the read-only result input
+            format: function(value) {
+                if (value === null || value === undefined) return '';
+                if (typeof value === 'number') {
+                    if (!isFinite(value)) return '';
+                    // Trim floating point noise (0.1 + 0.2)
+                    return String(Math.round(value * 1e10) / 1e10);
+                }
+                if (value instanceof Date) {
+                    const pad = n => String(n).padStart(2, '0');
+                    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+                }
+                if (Array.isArray(value)) return value.map(item => this.format(item)).join(', ');
+                return String(value);
+            }
+        },
+        
+        // Multi-step wizard. Steps come from a module schema (one per root Section) or a
+        // workflow (one per module); ConditionalRules with TargetStepNumber (skipStep,
+        // goToStep, completeWorkflow) decide where "next" goes.
+        Wizard: {
+            // Split a schema into steps: [{ number, key, titleEn, titleFr, rootIds, fieldIds }]
+            getSteps: function(schema, modules) {
+                const moduleList = modules || DynamicForms.getSchemaValue(schema, 'Modules');
+                if (Array.isArray(moduleList) && moduleList.length > 0) {
+                    return this.getModuleSteps(schema, moduleList);
+                }
+                
+                const fields = (DynamicForms.getSchemaValue(schema, 'Fields') || [])
+                    .slice()
+                    .sort((a, b) => (DynamicForms.getSchemaValue(a, 'Order') || 0) - (DynamicForms.getSchemaValue(b, 'Order') || 0));
+                const steps = [];
+                const looseIds = [];
+                
+                fields.filter(field => !DynamicForms.getSchemaValue(field, 'ParentId')).forEach(field => {
+                    const id = DynamicForms.getSchemaValue(field, 'Id');
+                    
+                    if (DynamicForms.getSchemaValue(field, 'FieldType') === 'Section') {
+                        steps.push({
+                            number: steps.length + 1,
+                            key: id,
+                            titleEn: DynamicForms.getSchemaValue(field, 'LabelEn'),
+                            titleFr: DynamicForms.getSchemaValue(field, 'LabelFr'),
+                            // Root fields ahead of the first section open the first step
+                            rootIds: steps.length === 0 ? looseIds.splice(0).concat(id) : [id]
+                        });
+                    } else if (steps.length === 0) {
+                        looseIds.push(id);
+                    } else {
+                        // Root fields after a section (e.g. terms checkbox) stay with it
+                        steps[steps.length - 1].rootIds.push(id);
+                    }
+                });
+                
+                if (steps.length === 0) {
+                    steps.push({
+                        number: 1,
+                        key: DynamicForms.getSchemaValue(schema, 'Id'),
+                        titleEn: DynamicForms.getSchemaValue(schema, 'TitleEn'),
+                        titleFr: DynamicForms.getSchemaValue(schema, 'TitleFr'),
+                        rootIds: looseIds
+                    });
+                }
+                
+                steps.forEach(step => {
+                    step.fieldIds = this.getDescendantIds(fields, step.rootIds);
+                });
+                
+                return steps;
+            },
+            
+            // FormWorkflowSchema.ModuleIds gives the sequence; modules are the FormModuleSchemas
+            getModuleSteps: function(workflow, modules) {
+                const moduleIds = DynamicForms.getSchemaValue(workflow, 'ModuleIds') || [];
+                const ordered = moduleIds.length > 0
+                    ? moduleIds.map(id => modules.find(module => String(DynamicForms.getSchemaValue(module, 'Id')) === String(id))).filter(Boolean)
+                    : modules;
+                
+                return ordered.map((module, index) => {
+                    const fields = DynamicForms.getSchemaValue(module, 'Fields') || [];
+                    const rootIds = fields
+                        .filter(field => !DynamicForms.getSchemaValue(field, 'ParentId'))
+                        .map(field => DynamicForms.getSchemaValue(field, 'Id'));
+                    
+                    return {
+                        number: index + 1,
+                        key: DynamicForms.getSchemaValue(module, 'Id'),
+                        titleEn: DynamicForms.getSchemaValue(module, 'TitleEn'),
+                        titleFr: DynamicForms.getSchemaValue(module, 'TitleFr'),
+                        rootIds: rootIds,
+                        fieldIds: fields.map(field => DynamicForms.getSchemaValue(field, 'Id'))
+                    };
+                });
+            },
+            
+            getDescendantIds: function(fields, rootIds) {
+                const ids = rootIds.slice();
+                for (let i = 0; i < ids.length; i++) {
+                    fields
+                        .filter(field => DynamicForms.getSchemaValue(field, 'ParentId') === ids[i])
+                        .forEach(field => ids.push(DynamicForms.getSchemaValue(field, 'Id')));
+                }
+                return ids;
+            },
+            
+            // options: {
+            //   container, steps, rules (WorkflowRules / ConditionalRule[]),
+            //   getElement(id)       - page element for a root id (default [data-field-id])
+            //   validateStep(step)   - true/false or a Promise of it
+            //   getValues()          - values for rule conditions ({ fieldId } or { moduleKey: { fieldId } })
+            //   stepper              - progress stepper element with [data-step] items
+            //   backButton, nextButton, submitButton, allowStepJumping, language,
+            //   onStepChange(step, wizard), onComplete(wizard)
+            // }
+            initialize: function(options) {
+                // Instance owning the container: its language, and its destroy() removes the listeners
+                const owner = DynamicForms.instanceFor(options.container);
+                const wizard = Object.assign({
+                    rules: [],
+                    getElement: id => options.container.querySelector(`[data-field-id="${CSS.escape(id)}"]`),
+                    validateStep: step => this.validateStep(wizard, step),
+                    getValues: () => undefined,
+                    allowStepJumping: false,
+                    language: owner.config.language
+                }, options, {
+                    current: 1,
+                    history: [],
+                    visited: new Set([1]),
+                    skipped: new Set()
+                });
+                
+                if (options.backButton) owner.listen(options.backButton, 'click', () => this.back(wizard));
+                if (options.nextButton) owner.listen(options.nextButton, 'click', () => this.next(wizard));
+                if (options.stepper) {
+                    owner.listen(options.stepper, 'click', e => {
+                        const item = e.target.closest('[data-step]');
+                        if (!item) return;
+                        e.preventDefault();
+                        this.goTo(wizard, parseInt(item.getAttribute('data-step'), 10));
+                    });
+                }
+                
+                this.show(wizard, 1);
+                return wizard;
+            },
+            
+            getStep: function(wizard, number) {
+                return wizard.steps.find(step => step.number === number) || null;
+            },
+            
+            getStepElements: function(wizard, step) {
+                return step.rootIds.map(id => wizard.getElement(id)).filter(Boolean);
+            },
+            
+            // Default step check: the runtime's field validation on visible inputs of the page
+            validateStep: function(wizard, step) {
+                let isValid = true;
+                
+                this.getStepElements(wizard, step).forEach(element => {
+                    element.querySelectorAll('input, select, textarea').forEach(input => {
+                        if (input.closest('.d-none, .hidden')) return;
+                        if (!DynamicForms.instanceFor(input).validateField(input)) {
+                            isValid = false;
+                        }
+                    });
+                });
+                
+                return isValid;
+            },
+            
+            // Validate the current step, then move to the step the rules select
+            next: function(wizard) {
+                const step = this.getStep(wizard, wizard.current);
+                
+                return Promise.resolve(wizard.validateStep(step)).then(isValid => {
+                    if (!isValid) {
+                        this.focusFirstError(wizard, step);
+                        return false;
+                    }
+                    
+                    const nextNumber = this.resolveNextStep(wizard);
+                    if (nextNumber === null) {
+                        if (wizard.onComplete) wizard.onComplete(wizard);
+                        return true;
+                    }
+                    
+                    wizard.history.push(wizard.current);
+                    this.show(wizard, nextNumber);
+                    return true;
+                });
+            },
+            
+            // Back returns to the step actually visited before, so skipped steps stay skipped
+            back: function(wizard) {
+                if (wizard.history.length === 0) return;
+                this.show(wizard, wizard.history.pop());
+            },
+            
+            goTo: function(wizard, number) {
+                if (!this.getStep(wizard, number) || number === wizard.current) return Promise.resolve(false);
+                
+                const historyIndex = wizard.history.indexOf(number);
+                if (historyIndex >= 0) {
+                    wizard.history.splice(historyIndex);
+                    this.show(wizard, number);
+                    return Promise.resolve(true);
+                }
+                
+                if (!wizard.allowStepJumping || wizard.skipped.has(number)) return Promise.resolve(false);
+                
+                // Jumping ahead still requires the current step to be valid
+                const step = this.getStep(wizard, wizard.current);
+                return Promise.resolve(wizard.validateStep(step)).then(isValid => {
+                    if (!isValid) {
+                        this.focusFirstError(wizard, step);
+                        return false;
+                    }
+                    wizard.history.push(wizard.current);
+                    this.show(wizard, number);
+                    return true;
+                });
+            },
+            
+            // Evaluate skip/goTo/complete rules in priority order; null means the wizard is done
+            resolveNextStep: function(wizard) {
+                const values = wizard.getValues();
+                const skipped = new Set();
+                let target = null;
+                let complete = false;
+                
+                (wizard.rules || [])
+                    .filter(rule => DynamicForms.getSchemaValue(rule, 'IsActive') !== false)
+                    .sort((a, b) => (DynamicForms.getSchemaValue(a, 'Priority') ?? 100) - (DynamicForms.getSchemaValue(b, 'Priority') ?? 100))
+                    .forEach(rule => {
+                        // TargetModuleKey names the step by its key (module id or key) instead of its number
+                        const targetModule = DynamicForms.getSchemaValue(rule, 'TargetModuleKey');
+                        const targetStep = DynamicForms.getSchemaValue(rule, 'TargetStepNumber') ||
+                            (targetModule !== null && targetModule !== undefined
+                                ? wizard.steps.find(step => String(step.key) === String(targetModule))?.number
+                                : null);
+                        const action = String(DynamicForms.getSchemaValue(rule, 'Action') || '').toLowerCase();
+                        if (!['skipstep', 'gotostep', 'completeworkflow'].includes(action)) return;
+                        if (!DynamicForms.evaluateConditionTree(DynamicForms.getSchemaValue(rule, 'Condition'), values)) return;
+                        
+                        if (action === 'skipstep' && targetStep) {
+                            skipped.add(targetStep);
+                        } else if (action === 'gotostep' && targetStep && target === null) {
+                            target = targetStep;
+                        } else if (action === 'completeworkflow') {
+                            complete = true;
+                        }
+                    });
+                
+                wizard.skipped = skipped;
+                if (complete) return null;
+                
+                let candidate = target !== null && target > wizard.current ? target : wizard.current + 1;
+                while (candidate <= wizard.steps.length && skipped.has(candidate)) {
+                    candidate++;
+                }
+                
+                return candidate > wizard.steps.length ? null : candidate;
+            },
+            
+            show: function(wizard, number) {
+                const step = this.getStep(wizard, number);
+                if (!step) return;
+                
+                wizard.current = number;
+                wizard.visited.add(number);
+                
+                wizard.steps.forEach(other => {
+                    this.getStepElements(wizard, other).forEach(element => {
+                        element.classList.toggle('wizard-step-hidden', other !== step);
+                    });
+                });
+                
+                this.updateButtons(wizard);
+                this.updateStepper(wizard);
+                
+                // Move focus to the new page for keyboard and screen reader users
+                const first = this.getStepElements(wizard, step)[0];
+                if (first) {
+                    const heading = first.querySelector('h1, h2, h3, legend') || first;
+                    if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+                    heading.focus({ preventScroll: true });
+                    first.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                }
+                
+                if (wizard.onStepChange) wizard.onStepChange(step, wizard);
+            },
+            
+            isLastStep: function(wizard) {
+                for (let number = wizard.current + 1; number <= wizard.steps.length; number++) {
+                    if (!wizard.skipped.has(number)) return false;
+                }
+                return true;
+            },
+            
+            updateButtons: function(wizard) {
+                const isLast = this.isLastStep(wizard);
+                
+                if (wizard.backButton) wizard.backButton.disabled = wizard.history.length === 0;
+                if (wizard.nextButton) wizard.nextButton.classList.toggle('wizard-step-hidden', isLast);
+                if (wizard.submitButton) wizard.submitButton.classList.toggle('wizard-step-hidden', !isLast);
+            },
+            
+            // Keep a ProgressStepperTagHelper (or renderStepper) stepper in step with the wizard
+            updateStepper: function(wizard) {
+                const stepper = wizard.stepper;
+                if (!stepper) return;
+                
+                const total = wizard.steps.length;
+                const percentage = total > 0 ? wizard.current / total * 100 : 0;
+                const isFrench = wizard.language === 'FR';
+                
+                stepper.querySelectorAll('[data-step]').forEach(item => {
+                    const number = parseInt(item.getAttribute('data-step'), 10);
+                    const state = number === wizard.current ? 'active' : (wizard.visited.has(number) && number < wizard.current ? 'completed' : 'pending');
+                    
+                    item.classList.remove('active', 'completed', 'pending');
+                    item.classList.add(state);
+                    item.classList.toggle('skipped', wizard.skipped.has(number) && number > wizard.current);
+                    item.classList.toggle('clickable', wizard.history.includes(number) || (wizard.allowStepJumping && number !== wizard.current));
+                    
+                    if (number === wizard.current) {
+                        item.setAttribute('aria-current', 'step');
+                    } else {
+                        item.removeAttribute('aria-current');
+                    }
+                    
+                    const circle = item.querySelector('.step-circle, .step-circle-vertical');
+                    if (circle) {
+                        circle.textContent = '';
+                        if (state === 'completed') {
+                            const icon = document.createElement('i');
+                            icon.className = 'fas fa-check';
+                            icon.setAttribute('aria-hidden', 'true');
+                            circle.appendChild(icon);
+                        } else {
+                            const numberEl = document.createElement('span');
+                            numberEl.className = 'step-number';
+                            numberEl.textContent = number;
+                            circle.appendChild(numberEl);
+                        }
+                    }
+                    
+                    const connector = item.querySelector('.step-connector, .step-connector-vertical');
+                    if (connector) {
+                        connector.classList.toggle('completed', number < wizard.current);
+                        connector.classList.toggle('pending', number >= wizard.current);
+                    }
+                });
+                
+                const progressBar = stepper.querySelector('.progress-bar');
+                if (progressBar) {
+                    progressBar.style.width = `${percentage.toFixed(1)}%`;
+                    progressBar.setAttribute('aria-valuenow', wizard.current);
+                    progressBar.setAttribute('aria-valuemax', total);
+                }
+                
+                const percentText = stepper.querySelector('.stepper-progress-info small');
+                if (percentText) {
+                    percentText.textContent = isFrench ? `${percentage.toFixed(0)}% termin` : `${percentage.toFixed(0)}% complete`;
+                }
+                
+                const compactText = stepper.querySelector('.step-info-compact small');
+                if (compactText) {
+                    const step = this.getStep(wizard, wizard.current);
+                    const label = (isFrench ? step.titleFr : null) || step.titleEn || '';
+                    compactText.textContent = isFrench
+                        ? `tape ${wizard.current} de ${total}: ${label}`
+                        : `Step ${wizard.current} of ${total}: ${label}`;
+                }
+            },
+            
+            // Horizontal stepper markup matching ProgressStepperTagHelper, for pages rendered client-side
+            renderStepper: function(container, steps, language) {
+                const isFrench = language === 'FR';
+                container.textContent = '';
+                container.classList.add('progress-stepper', 'horizontal-stepper');
+                
+                const info = document.createElement('div');
+                info.className = 'stepper-progress-info text-center mb-2';
+                info.appendChild(document.createElement('small')).className = 'text-muted';
+                container.appendChild(info);
+                
+                const bar = document.createElement('div');
+                bar.className = 'stepper-progress-bar mb-3';
+                const progress = bar.appendChild(document.createElement('div'));
+                progress.className = 'progress';
+                const progressBar = progress.appendChild(document.createElement('div'));
+                progressBar.className = 'progress-bar bg-primary';
+                progressBar.setAttribute('role', 'progressbar');
+                progressBar.setAttribute('aria-valuemin', '0');
+                container.appendChild(bar);
+                
+                const list = document.createElement('div');
+                list.className = 'stepper-steps d-flex justify-content-between align-items-start';
+                
+                steps.forEach((step, index) => {
+                    const item = document.createElement('div');
+                    item.className = 'stepper-step pending';
+                    item.setAttribute('data-step', step.number);
+                    
+                    item.appendChild(document.createElement('div')).className = 'step-circle';
+                    
+                    const label = item.appendChild(document.createElement('div'));
+                    label.className = 'step-label';
+                    const title = label.appendChild(document.createElement('div'));
+                    title.className = 'step-title';
+                    title.textContent = (isFrench ? step.titleFr : null) || step.titleEn || '';
+                    
+                    if (index < steps.length - 1) {
+                        item.appendChild(document.createElement('div')).className = 'step-connector pending';
+                    }
+                    
+                    list.appendChild(item);
+                });
+                
+                container.appendChild(list);
+                return container;
+            },
+            
+            focusFirstError: function(wizard, step) {
+                const invalid = this.getStepElements(wizard, step)
+                    .map(element => element.querySelector('.is-invalid, .invalid input, .invalid select, .invalid textarea'))
+                    .find(Boolean);
+                invalid?.focus();
+            }
+        },
+        
+        // Small DOM builder used instead of HTML strings. Text and attribute values are always set
+        // as data, never parsed; markup only goes in through setHtml, which sanitizes it first.
+        Dom: {
+            // Dom.create('a', { className: 'btn', href: '#', attrs: { 'aria-label': 'Close' }, on: { click: fn } },
+            //            ['text', childNode])
+            create: function(tag, props, children) {
+                const element = document.createElement(tag);
+                
+                Object.keys(props || {}).forEach(name => {
+                    const value = props[name];
+                    if (value === null || value === undefined) return;
+                    
+                    switch (name) {
+                        case 'text':
+                            element.textContent = value;
+                            break;
+                        case 'attrs':
+                            Object.keys(value).forEach(attribute => {
+                                const attributeValue = value[attribute];
+                                if (attributeValue !== null && attributeValue !== undefined && attributeValue !== false) {
+                                    element.setAttribute(attribute, attributeValue === true ? '' : attributeValue);
+                                }
+                            });
+                            break;
+                        case 'on':
+                            Object.keys(value).forEach(event => element.addEventListener(event, value[event]));
+                            break;
+                        case 'innerHTML':
+                        case 'outerHTML':
+                            throw new Error('Markup must go through DynamicForms.Dom.setHtml');
+                        default:
+                            element[name] = value;
+                    }
+                });
+                
+                return this.append(element, children);
+            },
+            
+            // Strings become text nodes; null, undefined and false are skipped
+            append: function(element, children) {
+                [].concat(children ?? []).forEach(child => {
+                    if (child === null || child === undefined || child === false) return;
+                    element.appendChild(typeof child === 'object' ? child : document.createTextNode(String(child)));
+                });
+                return element;
+            },
+            
+            // Markup kept by the sanitizer. Other elements are unwrapped (their text stays),
+            // droppedTags are removed with everything inside them.
+            allowedTags: ['a', 'abbr', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+                'hr', 'i', 'li', 'ol', 'p', 'pre', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td',
+                'th', 'thead', 'tr', 'u', 'ul'],
+            allowedAttributes: ['href', 'title', 'target', 'rel', 'class', 'lang', 'dir', 'colspan', 'rowspan', 'scope'],
+            droppedTags: ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'template', 'svg', 'math', 'noscript',
+                'link', 'meta', 'base', 'form', 'input', 'button', 'select', 'textarea'],
+            
+            // Returns a DocumentFragment holding only allowed markup
+            sanitize: function(html) {
+                // Template content is inert: nothing loads or runs while it is parsed
+                const template = document.createElement('template');
+                template.innerHTML = String(html ?? '');
+                this.cleanChildren(template.content);
+                return template.content;
+            },
+            
+            cleanChildren: function(parent) {
+                Array.from(parent.childNodes).forEach(node => {
+                    if (node.nodeType === Node.COMMENT_NODE) {
+                        node.remove();
+                        return;
+                    }
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    
+                    const tag = node.tagName.toLowerCase();
+                    if (this.droppedTags.includes(tag)) {
+                        node.remove();
+                        return;
+                    }
+                    
+                    this.cleanChildren(node);
+                    if (!this.allowedTags.includes(tag)) {
+                        node.replaceWith(...node.childNodes);
+                        return;
+                    }
+                    
+                    Array.from(node.attributes).forEach(attribute => {
+                        const name = attribute.name.toLowerCase();
+                        if (!this.allowedAttributes.includes(name) || (name === 'href' && !this.isSafeUrl(attribute.value))) {
+                            node.removeAttribute(attribute.name);
+                        }
+                    });
+                    if (node.getAttribute('target') === '_blank') {
+                        node.setAttribute('rel', 'noopener noreferrer');
+                    }
+                });
+            },
+            
+            // Relative links and http(s), mailto and tel only (no javascript: or data: URLs)
+            isSafeUrl: function(url) {
+                // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+                const value = String(url).replace(/[\u0000- ]/g, '');
+                return !/^[a-z][a-z0-9+.-]*:/i.test(value) || /^(https?|mailto|tel):/i.test(value);
+            },
+            
+            setHtml: function(element, html) {
+                element.replaceChildren(this.sanitize(html));
+                return element;
+            }
+        }
+    };
+    
+    // Library defaults, kept apart so every create()d instance starts from them
+    const DEFAULT_CONFIG = DynamicForms.mergeConfig(DynamicForms.config, {});
     
     // Export to global scope
     window.DynamicForms = DynamicForms;
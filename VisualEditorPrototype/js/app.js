@@ -90,125 +90,105 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // --- Safe DOM Building ---
+    // Labels and types come from user-authored schemas, so panels and canvas nodes are built
+    // as elements (DynamicForms.Dom), never as HTML strings
+    const Dom = window.DynamicForms.Dom;
+    const el = (tag, props, children) => Dom.create(tag, props, children);
+    const icon = name => el('i', { className: `fa-solid ${name}` });
+    const groupHeaderStyle = 'font-weight:700; margin-bottom:1rem; font-size:0.8rem; text-transform:uppercase; color:#94a3b8; cursor:pointer; display:flex; align-items:center; justify-content:space-between;';
+
+    function panelHeader(title, options = {}) {
+        return el('div', { className: 'p-4 border-b bg-white sticky top-0', attrs: { style: options.style } }, [
+            el('h3', { className: 'font-bold text-sm', attrs: { style: options.titleStyle } }, [
+                options.icon && icon(options.icon),
+                options.icon && ' ',
+                title
+            ])
+        ]);
+    }
+
+    function propGroup(title, children) {
+        return el('div', { className: 'prop-group' }, [
+            el('h4', { attrs: { style: groupHeaderStyle } }, [`${title} `, icon('fa-chevron-down')]),
+            el('div', { className: 'prop-content' }, children)
+        ]);
+    }
+
+    function propField(label, control) {
+        return el('div', { className: 'mb-4' }, [
+            el('label', { className: 'prop-label', text: label }),
+            control
+        ]);
+    }
+
+    function propInput(value) {
+        return el('input', { type: 'text', className: 'prop-input', value: value });
+    }
+
     // --- Dynamic Properties Panel Renderer ---
     function renderPropertiesPanel(mode, data = {}) {
         const panelContainer = document.getElementById('properties-panel');
         
-        let html = '';
+        let content = [];
 
         if (mode === 'field') {
-            html = `
-                <div class="p-4 border-b bg-white sticky top-0">
-                    <h3 class="font-bold text-sm">${data.type} Properties</h3>
-                </div>
-                <div class="prop-group">
-                    <h4 style="font-weight:700; margin-bottom:1rem; font-size:0.8rem; text-transform:uppercase; color:#94a3b8; cursor:pointer; display:flex; align-items:center; justify-content:space-between;">
-                        General <i class="fa-solid fa-chevron-down"></i>
-                    </h4>
-                    <div class="prop-content">
-                        <div class="mb-4">
-                            <label class="prop-label">Label (EN)</label>
-                            <input type="text" class="prop-input" value="${data.label}">
-                        </div>
-                        <div class="mb-4">
-                            <label class="prop-label">Label (FR)</label>
-                            <input type="text" class="prop-input" value="Label FR">
-                        </div>
-                    </div>
-                </div>
-                <div class="prop-group">
-                    <h4 style="font-weight:700; margin-bottom:1rem; font-size:0.8rem; text-transform:uppercase; color:#94a3b8; cursor:pointer; display:flex; align-items:center; justify-content:space-between;">
-                        Validation <i class="fa-solid fa-chevron-down"></i>
-                    </h4>
-                    <div class="prop-content">
-                         <div class="flex items-center gap-2 mb-2">
-                            <input type="checkbox" id="chk-req">
-                            <label for="chk-req" style="font-size:0.875rem;">Required</label>
-                        </div>
-                    </div>
-                </div>
-                <div class="prop-group">
-                    <h4 style="font-weight:700; margin-bottom:1rem; font-size:0.8rem; text-transform:uppercase; color:#94a3b8; cursor:pointer; display:flex; align-items:center; justify-content:space-between;">
-                        Logic & Rules <i class="fa-solid fa-chevron-down"></i>
-                    </h4>
-                    <div class="prop-content">
-                        <div class="mb-2">
-                            <button class="btn btn-primary w-full" style="width:100%; font-size:0.8rem;"><i class="fa-solid fa-plus"></i> Add Rule</button>
-                        </div>
-                        <div style="background:#f1f5f9; padding:0.5rem; border-radius:4px; font-size:0.75rem; border:1px solid #e2e8f0;">
-                            <div style="display:flex; justify-content:space-between; margin-bottom:4px;">
-                                <span style="font-weight:bold;">Visibility Rule</span>
-                                <i class="fa-solid fa-trash text-danger" style="cursor:pointer;"></i>
-                            </div>
-                            <div style="color:#64748b;">IF [OrgType] == 'NonProfit' THEN Show</div>
-                        </div>
-                    </div>
-                </div>
-            `;
+            content = [
+                panelHeader(`${data.type} Properties`),
+                propGroup('General', [
+                    propField('Label (EN)', propInput(data.label)),
+                    propField('Label (FR)', propInput('Label FR'))
+                ]),
+                propGroup('Validation', [
+                    el('div', { className: 'flex items-center gap-2 mb-2' }, [
+                        el('input', { type: 'checkbox', id: 'chk-req' }),
+                        el('label', { htmlFor: 'chk-req', text: 'Required', attrs: { style: 'font-size:0.875rem;' } })
+                    ])
+                ]),
+                propGroup('Logic & Rules', [
+                    el('div', { className: 'mb-2' }, [
+                        el('button', { className: 'btn btn-primary w-full', attrs: { style: 'width:100%; font-size:0.8rem;' } }, [
+                            icon('fa-plus'),
+                            ' Add Rule'
+                        ])
+                    ]),
+                    el('div', { attrs: { style: 'background:#f1f5f9; padding:0.5rem; border-radius:4px; font-size:0.75rem; border:1px solid #e2e8f0;' } }, [
+                        el('div', { attrs: { style: 'display:flex; justify-content:space-between; margin-bottom:4px;' } }, [
+                            el('span', { text: 'Visibility Rule', attrs: { style: 'font-weight:bold;' } }),
+                            el('i', { className: 'fa-solid fa-trash text-danger', attrs: { style: 'cursor:pointer;' } })
+                        ]),
+                        el('div', { text: "IF [OrgType] == 'NonProfit' THEN Show", attrs: { style: 'color:#64748b;' } })
+                    ])
+                ])
+            ];
         } else if (mode === 'module') {
-            html = `
-                <div class="p-4 border-b bg-white sticky top-0" style="background:#f8fafc;">
-                    <h3 class="font-bold text-sm"><i class="fa-solid fa-box-open"></i> Module Properties</h3>
-                </div>
-                <div class="prop-group">
-                    <h4 style="font-weight:700; margin-bottom:1rem; font-size:0.8rem; text-transform:uppercase; color:#94a3b8; cursor:pointer; display:flex; align-items:center; justify-content:space-between;">
-                        Meta Data <i class="fa-solid fa-chevron-down"></i>
-                    </h4>
-                    <div class="prop-content">
-                        <div class="mb-4">
-                            <label class="prop-label">Module Title (EN)</label>
-                            <input type="text" class="prop-input" value="Applicant Info">
-                        </div>
-                        <div class="mb-4">
-                            <label class="prop-label">Module Title (FR)</label>
-                            <input type="text" class="prop-input" value="Infos du demandeur">
-                        </div>
-                         <div class="mb-4">
-                            <label class="prop-label">Description</label>
-                            <textarea class="prop-input" rows="3">Collects primary contact information.</textarea>
-                        </div>
-                    </div>
-                </div>
-                <div class="prop-group">
-                    <h4 style="font-weight:700; margin-bottom:1rem; font-size:0.8rem; text-transform:uppercase; color:#94a3b8; cursor:pointer; display:flex; align-items:center; justify-content:space-between;">
-                        Database <i class="fa-solid fa-chevron-down"></i>
-                    </h4>
-                    <div class="prop-content">
-                        <div class="mb-4">
-                            <label class="prop-label">Table Name</label>
-                            <input type="text" class="prop-input" value="tbl_App_Info">
-                        </div>
-                    </div>
-                </div>
-            `;
+            content = [
+                panelHeader('Module Properties', { icon: 'fa-box-open', style: 'background:#f8fafc;' }),
+                propGroup('Meta Data', [
+                    propField('Module Title (EN)', propInput('Applicant Info')),
+                    propField('Module Title (FR)', propInput('Infos du demandeur')),
+                    propField('Description', el('textarea', {
+                        className: 'prop-input',
+                        rows: 3,
+                        value: 'Collects primary contact information.'
+                    }))
+                ]),
+                propGroup('Database', [
+                    propField('Table Name', propInput('tbl_App_Info'))
+                ])
+            ];
         } else if (mode === 'workflow') {
-            html = `
-                <div class="p-4 border-b bg-white sticky top-0" style="background:#eff6ff;">
-                    <h3 class="font-bold text-sm" style="color:#1e40af;"><i class="fa-solid fa-diagram-project"></i> Workflow Step</h3>
-                </div>
-                <div class="prop-group">
-                    <h4 style="font-weight:700; margin-bottom:1rem; font-size:0.8rem; text-transform:uppercase; color:#94a3b8; cursor:pointer; display:flex; align-items:center; justify-content:space-between;">
-                        Step Config <i class="fa-solid fa-chevron-down"></i>
-                    </h4>
-                    <div class="prop-content">
-                        <div class="mb-4">
-                            <label class="prop-label">Step Name</label>
-                            <input type="text" class="prop-input" value="Start">
-                        </div>
-                         <div class="mb-4">
-                            <label class="prop-label">Assigned Role</label>
-                            <select class="prop-input">
-                                <option>Public User</option>
-                                <option>Internal Officer</option>
-                                <option>System Admin</option>
-                            </select>
-                        </div>
-                    </div>
-                </div>
-            `;
+            content = [
+                panelHeader('Workflow Step', { icon: 'fa-diagram-project', style: 'background:#eff6ff;', titleStyle: 'color:#1e40af;' }),
+                propGroup('Step Config', [
+                    propField('Step Name', propInput('Start')),
+                    propField('Assigned Role', el('select', { className: 'prop-input' },
+                        ['Public User', 'Internal Officer', 'System Admin'].map(role => el('option', { text: role }))))
+                ])
+            ];
         }
 
-        panelContainer.innerHTML = html;
+        panelContainer.replaceChildren(...content);
     }
 
     // --- Drag/Drop Simulation (Click to Add) ---
@@ -223,34 +203,33 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function addFieldToCanvas(type) {
         const id = Date.now();
-        const html = `
-            <div class="field-node selected" data-type="${type}" data-label="New ${type}" id="field-${id}">
-                <div class="field-header">
-                    <div class="field-title">
-                        <span class="field-type-badge">${type}</span>
-                        <span class="field-label-display">New ${type}</span>
-                    </div>
-                    <div class="field-actions">
-                        <button class="btn btn-icon" title="Move Up">↑</button>
-                        <button class="btn btn-icon" title="Move Down">↓</button>
-                        <button class="btn btn-icon text-danger" title="Delete" onclick="this.closest('.field-node').remove()">×</button>
-                    </div>
-                </div>
-                <div class="field-body">
-                    <label class="form-label">New ${type}</label>
-                    <input type="text" class="form-input" placeholder="Enter value..." disabled>
-                </div>
-            </div>
-        `;
+        const label = `New ${type}`;
+        const newNode = el('div', { className: 'field-node selected', id: `field-${id}`, attrs: { 'data-type': type, 'data-label': label } }, [
+            el('div', { className: 'field-header' }, [
+                el('div', { className: 'field-title' }, [
+                    el('span', { className: 'field-type-badge', text: type }),
+                    el('span', { className: 'field-label-display', text: label })
+                ]),
+                el('div', { className: 'field-actions' }, [
+                    el('button', { className: 'btn btn-icon', title: 'Move Up', text: '↑' }),
+                    el('button', { className: 'btn btn-icon', title: 'Move Down', text: '↓' }),
+                    el('button', {
+                        className: 'btn btn-icon text-danger',
+                        title: 'Delete',
+                        text: '×',
+                        on: { click: e => e.currentTarget.closest('.field-node').remove() }
+                    })
+                ])
+            ]),
+            el('div', { className: 'field-body' }, [
+                el('label', { className: 'form-label', text: label }),
+                el('input', { type: 'text', className: 'form-input', placeholder: 'Enter value...', disabled: true })
+            ])
+        ]);
         
         // Deselect existing
         document.querySelectorAll('.field-node').forEach(n => n.classList.remove('selected'));
         
-        // Insert
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
-        const newNode = tempDiv.firstElementChild;
-        
         // If a field is selected, insert after, else append
         const selected = formCanvas.querySelector('.field-node.selected');
         if(selected) {
@@ -260,7 +239,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Trigger Property update
-        renderPropertiesPanel('field', { type: type, label: `New ${type}` });
+        renderPropertiesPanel('field', { type: type, label: label });
         
         // Save to history (mock)
         pushHistory();